@@ -11,7 +11,7 @@
  * - Deterministic daily deck (stable within the same day/settings/batch)
  * - Low server load: memo pool cached with TTL; "Shuffle" regenerates locally
  * - Review bias: avoid recent repeats; prefer unseen/long-unseen/low-seen memos
- * - "Spark pair": try inserting two far-apart memos sharing a tag
+ * - "Spark pair": two far-apart memos with similar content (or a shared tag) on adjacent cards
  * - Lightweight Markdown rendering including nested lists; tags extracted to header
  * - Image preview overlay + optional edit-and-save (requires auth & permission)
  *
@@ -33,23 +33,50 @@
     BATCH_KEY: 'memos-daily-review-batch',
     CAPABILITY_KEY: 'memos-daily-review-capabilities',
     CHECK_COUNT_KEY: 'memos-daily-review-check-count',
+    PROFILES_KEY: 'memos-daily-review-profiles',
+    SYNC_KEY: 'memos-daily-review-sync',
+    FAVORITES_KEY: 'memos-daily-review-favorites',
+    DEFAULT_PROFILE_ID: 'default',
     AUTH_TOKEN_KEY: 'memos_access_token',
     AUTH_EXPIRES_KEY: 'memos_token_expires_at',
     DEFAULT_TIME_RANGE: '6months',
     DEFAULT_COUNT: 8,
+    DEFAULT_REVIEW_MODE: 'mix',
+    REVIEW_MODES: ['mix', 'spaced', 'onthisday'],
+    ON_THIS_DAY_WINDOWS: [0, 1, 3, 7],
+    // 'deck': one favourite per deck; a number: every favourite returns after that many days.
+    FAVORITE_CADENCES: ['deck', '3', '7', '14', '30'],
+    VISIBILITIES: ['PRIVATE', 'PROTECTED', 'PUBLIC'],
+    UNDO_TOAST_MS: 6000,
+    DEFAULT_FAVORITE_CADENCE: 'deck',
+    FAVORITES_MAX_SHARE: 0.5,
+    FAVORITES_FETCH_MAX: 20,
+    // Due memos missing from the sampled pool are fetched by name, at most this many per deck build.
+    DUE_FETCH_MAX: 20,
+    SNOOZE_OPTIONS_DAYS: [7, 30],
+    DEFAULT_ON_THIS_DAY_WINDOW: 3,
+    ON_THIS_DAY_MAX_YEARS: 20,
     TIME_RANGES: [
       { value: 'all', days: null },
       { value: '1year', days: 365 },
       { value: '6months', days: 180 },
       { value: '3months', days: 90 },
-      { value: '1month', days: 30 }
+      { value: '1month', days: 30 },
+      { value: 'custom', days: null }
     ],
     COUNT_OPTIONS: [4, 8, 12, 16, 20, 24],
     API_PAGE_SIZE: 1000,
     API_MEMO_ORDER_BY: 'create_time desc',
     POOL_TTL_MS: 6 * 60 * 60 * 1000,
+    // Incremental refreshes can't see hard deletes; a full refetch this often drops them.
+    POOL_MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000,
+    POOL_REFRESH_SKEW_MS: 60 * 1000,
+    POOL_MAX_ENTRIES: 3,
     POOL_MAX_PAGES_ALL: 6,
     POOL_MAX_PAGES_SCOPED: 3,
+    POOL_STRATUM_DAYS: 365,
+    POOL_STRATA_MAX: 15,
+    POOL_STRATUM_PAGE_SIZE: 100,
     POOL_TARGET_MULTIPLIER: 6,
     POOL_MIN_TARGET_ALL: 300,
     POOL_MIN_TARGET_SCOPED: 120,
@@ -59,19 +86,52 @@
     POOL_EARLY_STOP_MIN_RATIO: 0.5,
     BUCKET_NEWEST_DAYS: 30,
     BUCKET_MIDDLE_DAYS: 180,
+    // Custom deck buckets: a memo falls in the bucket with the largest `minAgeDays` not above its age.
+    BUCKETS_MAX: 6,
+    BUCKET_WEIGHT_MAX: 100,
+    BUCKET_AGE_MAX_DAYS: 36500,
     DIVERSITY_PENALTY_ENABLED: true,
     DIVERSITY_LOOKBACK: 4,
     DIVERSITY_CANDIDATE_WINDOW: 24,
     DIVERSITY_TAG_WEIGHT: 6,
     DIVERSITY_TIME_BUCKET_WEIGHT: 1,
+    SPARK_MIN_GAP_DAYS: 90,
+    SPARK_MIN_SIMILARITY: 0.1,
+    SPARK_MIN_SHARED_TERMS: 2,
+    SPARK_MAX_MEMOS: 300,
+    SPARK_MAX_TERMS: 40,
+    SPARK_MAX_DF_RATIO: 0.2,
+    SPARK_MAX_POSTINGS: 60,
+    SPARK_TOP_CHOICES: 3,
     CAPABILITY_TTL_MS: 24 * 60 * 60 * 1000,
     REFRESH_RETRY_COOLDOWN_MS: 15 * 60 * 1000,
     NO_REPEAT_DAYS: 3,
+    SRS_INITIAL_EASE: 2.5,
+    SRS_MIN_EASE: 1.3,
+    SRS_MAX_INTERVAL_DAYS: 3650,
+    GRADE_PRIORITY_FACTORS: { 1: 2, 2: 1.5, 3: 1, 4: 0.5 },
+    TAG_FILTER_MAX_TAGS: 60,
+    SEARCH_MAX_PAGES: 2,
+    SEARCH_MAX_RESULTS: 50,
     HISTORY_MAX_ITEMS: 3000,
     HISTORY_SOFT_LIMIT: 2500,
     HISTORY_CLEANUP_TARGET: 2000,
     STORAGE_CHECK_INTERVAL_MS: 60000,
-    DECK_SCHEMA_VERSION: 3
+    DECK_SCHEMA_VERSION: 4,
+    BACKUP_FORMAT: 'memos-daily-review-backup',
+    BACKUP_SCHEMA_VERSION: 1,
+    SYNC_TAG: 'daily-review-sync',
+    REFLECT_TAG: 'review',
+    SYNC_FORMAT: 'memos-daily-review-sync',
+    SYNC_MAX_ITEMS: 200,
+    SYNC_MIN_ITEMS: 25,
+    SYNC_DEBOUNCE_MS: 10000,
+    SYNC_OPEN_TIMEOUT_MS: 3000,
+    PREFETCH_IDLE_TIMEOUT_MS: 10000,
+    PREFETCH_FALLBACK_DELAY_MS: 3000,
+    IDB_NAME: 'memos-daily-review',
+    IDB_VERSION: 1,
+    IDB_STORES: ['pools', 'decks', 'history']
   };
 
   // ============================================
@@ -136,6 +196,85 @@
         'time_range': '时间范围',
         'daily_count': '每日张数',
         'count_unit': '张',
+        'review_mode': '回顾模式',
+        'mode_mix': '每日混合',
+        'mode_spaced': '间隔重复',
+        'mode_onthisday': '那年今日',
+        'on_this_day_window': '日期范围',
+        'favorite_cadence': '收藏出现频率',
+        'visibility_filter': '可见性',
+        'visibility_all': '全部',
+        'visibility_PRIVATE': '私有',
+        'visibility_PROTECTED': '工作区',
+        'visibility_PUBLIC': '公开',
+        'visibility_change': '修改可见性',
+        'visibility_failed': '修改可见性失败',
+        'pinned': '📌 置顶',
+        'favorite_cadence_deck': '每组一条',
+        'favorite_cadence_days': '每条每 {n} 天',
+        'on_this_day_window_option': '前后 {n} 天',
+        'on_this_day_exact': '仅当天',
+        'years_ago': '{n} 年前',
+        'spark_badge_similar': '灵感配对 · {terms}',
+        'spark_badge_tag': '灵感配对 · #{tag}',
+        'spark_badge_hint': '与 {date} 的一条 Memo 配对：内容相近但时间相隔较远',
+        'spark_pair_title': '灵感配对：同一个想法，相隔多年的两次记录',
+        'spark_show_partner': '查看配对的 Memo',
+        'spark_link': '新建 Memo 关联这两条',
+        'spark_link_done': '✓ 已创建关联 Memo',
+        'spark_link_failed': '创建失败，请重试',
+        'relations_linked': '关联的 Memo',
+        'relations_referenced_by': '被以下 Memo 引用',
+        'linked_peek': '正在查看关联的 Memo',
+        'linked_back': '返回回顾',
+        'linked_failed': '无法打开关联的 Memo',
+        'comments': '评论',
+        'comments_empty': '暂无评论',
+        'comments_failed': '评论加载失败',
+        'comment_placeholder': '写下评论…',
+        'comment_send': '发送',
+        'comment_failed': '发送失败，重试',
+        'one_year_ago': '1 年前',
+        'grade_prompt': '记得多少？',
+        'grade_again': '忘了',
+        'grade_hard': '模糊',
+        'grade_good': '记得',
+        'grade_easy': '轻松',
+        'tag_filters': '标签筛选',
+        'tag_filters_hint': '点击标签切换：仅包含 → 排除 → 不限',
+        'tag_filters_empty': '暂无可用标签，加载一次回顾后会自动收集',
+        'tag_included': '仅包含',
+        'tag_excluded': '已排除',
+        'tag_filters_clear': '清除筛选',
+        'profile': '回顾方案',
+        'profile_default': '默认',
+        'profile_new': '＋ 新建方案…',
+        'profile_name_prompt': '方案名称',
+        'profile_rename': '重命名',
+        'profile_delete': '删除方案',
+        'profile_delete_confirm': '确定要删除这个方案吗？它的设置和回顾记录会一并删除。',
+        'backup': '备份',
+        'backup_export': '导出备份',
+        'backup_import': '导入备份',
+        'backup_mode_merge': '合并到现有记录',
+        'backup_mode_replace': '替换现有记录',
+        'backup_replace_confirm': '导入将覆盖当前所有方案的设置和回顾记录，确定继续吗？',
+        'backup_import_done': '已导入 {profiles} 个方案、{items} 条回顾记录',
+        'backup_error_parse': '无法读取备份文件：不是有效的 JSON',
+        'backup_error_format': '这不是每日回顾的备份文件',
+        'backup_error_version': '备份文件来自更新的版本，请先升级插件',
+        'backup_error_invalid': '备份文件内容无效或已损坏',
+        'buckets': '高级：卡片构成',
+        'buckets_hint': '按创建时间把 Memo 分组，每组按权重分配每日数量（用于每日混合模式）',
+        'bucket_older_than': '早于',
+        'bucket_days': '天',
+        'bucket_newest': '最近',
+        'bucket_weight': '权重',
+        'bucket_add': '添加分组',
+        'bucket_remove': '删除分组',
+        'buckets_reset': '恢复默认',
+        'sync_history': '跨设备同步回顾记录',
+        'sync_history_hint': '保存在一条带 #daily-review-sync 标签的私有 Memo 中',
         'language': '语言',
         'chinese': '中文',
         'english': 'English',
@@ -146,16 +285,45 @@
         'time_6months': '6 个月内',
         'time_3months': '3 个月内',
         'time_1month': '1 个月内',
+        'time_custom': '自定义日期',
+        'custom_range_start': '开始日期',
+        'custom_range_end': '结束日期',
 
         // Edit dialog
         'edit_title': '编辑 Memo',
         'cancel': '取消',
         'save': '保存',
+        'reflect': '写下新想法',
+        'reflect_title': '由这条 Memo 引发的想法',
+        'reflect_tag': '添加 #{tag} 标签',
+        'reflect_empty': '请先写点内容',
+        'reflect_saved': '✓ 已创建新 Memo',
+        'reflect_saved_unlinked': '✓ 已创建新 Memo（服务器不支持关联）',
 
         // Status messages
         'loading': '加载中...',
         'empty_state': '没有找到符合条件的 Memo',
         'empty_hint': '尝试调整时间范围或创建更多 Memo',
+        'search_placeholder': '搜索 Memo 内容...',
+        'search_clear': '返回今日回顾',
+        'search_no_results': '没有找到包含“{q}”的 Memo',
+        'search_results': '搜索结果',
+        'export': '导出',
+        'export_markdown': '导出 Markdown',
+        'export_html': '导出 HTML',
+        'snooze': '暂缓',
+        'snooze_days': '{n} 天后再出现',
+        'snooze_until': '暂缓到',
+        'exclude_memo': '不再出现',
+        'hidden_memos': '暂缓与排除',
+        'hidden_memos_empty': '没有暂缓或排除的 Memo',
+        'hidden_snoozed_until': '暂缓到 {day}',
+        'hidden_excluded': '已排除',
+        'hidden_restore': '恢复',
+        'export_title': '每日回顾 · {date}',
+        'export_tags': '标签',
+        'export_attachments': '附件',
+        'export_empty': '当前没有可导出的 Memo',
         'load_failed': '加载失败，请检查网络连接或登录状态',
         'offline_notice': '网络连接已断开',
         'offline_error': '无法加载：网络连接已断开',
@@ -170,8 +338,15 @@
         'save_failed_permission': '保存失败：无权限',
         'save_failed_retry': '保存失败，请稍后重试',
         'delete_memo': '删除当前 Memo',
-        'delete_confirm': '确定要删除这条 Memo 吗？此操作不可撤销。',
+        'favorite_add': '加入收藏',
+        'favorite_remove': '取消收藏',
+        'delete_done': '已删除',
         'delete_failed': '删除失败，请稍后重试',
+        'archive_memo': '归档（移出回顾，可恢复）',
+        'archive_done': '已归档',
+        'archive_failed': '归档失败，请稍后重试',
+        'unarchive_failed': '恢复失败，请在 Memos 的归档中手动恢复',
+        'undo': '撤销',
         'save_success': '保存成功',
         'click_to_zoom': '点击图片可放大查看',
 
@@ -194,6 +369,85 @@
         'time_range': 'Time Range',
         'daily_count': 'Daily Count',
         'count_unit': ' cards',
+        'review_mode': 'Review Mode',
+        'mode_mix': 'Daily Mix',
+        'mode_spaced': 'Spaced Repetition',
+        'mode_onthisday': 'On This Day',
+        'on_this_day_window': 'Date Window',
+        'favorite_cadence': 'Favourites',
+        'visibility_filter': 'Visibility',
+        'visibility_all': 'All',
+        'visibility_PRIVATE': 'Private',
+        'visibility_PROTECTED': 'Protected',
+        'visibility_PUBLIC': 'Public',
+        'visibility_change': 'Change visibility',
+        'visibility_failed': 'Failed to change visibility',
+        'pinned': '📌 Pinned',
+        'favorite_cadence_deck': 'One per deck',
+        'favorite_cadence_days': 'Each every {n} days',
+        'on_this_day_window_option': '±{n} days',
+        'on_this_day_exact': 'Same day only',
+        'years_ago': '{n} years ago',
+        'spark_badge_similar': 'Spark · {terms}',
+        'spark_badge_tag': 'Spark · #{tag}',
+        'spark_badge_hint': 'Paired with a memo from {date}: related ideas written far apart',
+        'spark_pair_title': 'Spark pair: one idea, written down far apart',
+        'spark_show_partner': 'Show the paired memo',
+        'spark_link': 'Link both in a new memo',
+        'spark_link_done': '✓ Linking memo created',
+        'spark_link_failed': 'Failed to create memo, try again',
+        'relations_linked': 'Linked memos',
+        'relations_referenced_by': 'Referenced by',
+        'linked_peek': 'Viewing a linked memo',
+        'linked_back': 'Back to review',
+        'linked_failed': 'Failed to open the linked memo',
+        'comments': 'Comments',
+        'comments_empty': 'No comments yet',
+        'comments_failed': 'Failed to load comments',
+        'comment_placeholder': 'Add a comment…',
+        'comment_send': 'Send',
+        'comment_failed': 'Failed, retry',
+        'one_year_ago': '1 year ago',
+        'grade_prompt': 'How well did you recall it?',
+        'grade_again': 'Again',
+        'grade_hard': 'Hard',
+        'grade_good': 'Good',
+        'grade_easy': 'Easy',
+        'tag_filters': 'Tag Filters',
+        'tag_filters_hint': 'Click a tag to cycle: include only → exclude → any',
+        'tag_filters_empty': 'No tags yet. They are collected once a review deck has loaded',
+        'tag_included': 'Included',
+        'tag_excluded': 'Excluded',
+        'tag_filters_clear': 'Clear filters',
+        'profile': 'Profile',
+        'profile_default': 'Default',
+        'profile_new': '+ New profile…',
+        'profile_name_prompt': 'Profile name',
+        'profile_rename': 'Rename',
+        'profile_delete': 'Delete profile',
+        'profile_delete_confirm': 'Delete this profile? Its settings and review history will be removed too.',
+        'backup': 'Backup',
+        'backup_export': 'Export backup',
+        'backup_import': 'Import backup',
+        'backup_mode_merge': 'Merge with current data',
+        'backup_mode_replace': 'Replace current data',
+        'backup_replace_confirm': 'Importing will overwrite settings and review history for all profiles. Continue?',
+        'backup_import_done': 'Imported {profiles} profile(s) and {items} history entries',
+        'backup_error_parse': 'Could not read the backup: not valid JSON',
+        'backup_error_format': 'This is not a Daily Review backup file',
+        'backup_error_version': 'This backup comes from a newer version. Please update the plugin first',
+        'backup_error_invalid': 'The backup file is invalid or corrupted',
+        'buckets': 'Advanced: Deck Composition',
+        'buckets_hint': 'Memos are grouped by age; each group gets a share of the daily count by weight (Daily Mix mode)',
+        'bucket_older_than': 'Older than',
+        'bucket_days': 'days',
+        'bucket_newest': 'Most recent',
+        'bucket_weight': 'Weight',
+        'bucket_add': 'Add bucket',
+        'bucket_remove': 'Remove bucket',
+        'buckets_reset': 'Reset to default',
+        'sync_history': 'Sync review history across devices',
+        'sync_history_hint': 'Stored in a private memo tagged #daily-review-sync',
         'language': 'Language',
         'chinese': '中文',
         'english': 'English',
@@ -204,16 +458,45 @@
         'time_6months': 'Past 6 Months',
         'time_3months': 'Past 3 Months',
         'time_1month': 'Past Month',
+        'time_custom': 'Custom Dates',
+        'custom_range_start': 'From',
+        'custom_range_end': 'To',
 
         // Edit dialog
         'edit_title': 'Edit Memo',
         'cancel': 'Cancel',
         'save': 'Save',
+        'reflect': 'Reflect',
+        'reflect_title': 'Reflect on this memo',
+        'reflect_tag': 'Add #{tag} tag',
+        'reflect_empty': 'Write something first',
+        'reflect_saved': '✓ Reflection saved',
+        'reflect_saved_unlinked': '✓ Reflection saved (server does not support memo links)',
 
         // Status messages
         'loading': 'Loading...',
         'empty_state': 'No memos found',
         'empty_hint': 'Try adjusting the time range or create more memos',
+        'search_placeholder': 'Search memo content...',
+        'search_clear': 'Back to today\'s review',
+        'search_no_results': 'No memos containing "{q}"',
+        'search_results': 'Search results',
+        'export': 'Export',
+        'export_markdown': 'Export Markdown',
+        'export_html': 'Export HTML',
+        'snooze': 'Snooze',
+        'snooze_days': 'Snooze for {n} days',
+        'snooze_until': 'Snooze until',
+        'exclude_memo': 'Never show again',
+        'hidden_memos': 'Snoozed & Excluded',
+        'hidden_memos_empty': 'No snoozed or excluded memos',
+        'hidden_snoozed_until': 'Snoozed until {day}',
+        'hidden_excluded': 'Excluded',
+        'hidden_restore': 'Restore',
+        'export_title': 'Daily Review · {date}',
+        'export_tags': 'Tags',
+        'export_attachments': 'Attachments',
+        'export_empty': 'Nothing to export yet',
         'load_failed': 'Failed to load. Please check your network or login status',
         'offline_notice': 'You are offline',
         'offline_error': 'Cannot load: No network connection',
@@ -228,8 +511,15 @@
         'save_failed_permission': 'Save failed: Permission denied',
         'save_failed_retry': 'Save failed. Please try again later',
         'delete_memo': 'Delete Memo',
-        'delete_confirm': 'Are you sure you want to delete this memo? This cannot be undone.',
+        'favorite_add': 'Add to favourites',
+        'favorite_remove': 'Remove from favourites',
+        'delete_done': 'Memo deleted',
         'delete_failed': 'Delete failed. Please try again later',
+        'archive_memo': 'Archive (out of rotation, restorable)',
+        'archive_done': 'Memo archived',
+        'archive_failed': 'Archive failed. Please try again later',
+        'unarchive_failed': 'Restore failed. Unarchive it from the Memos archive instead',
+        'undo': 'Undo',
         'save_success': 'Saved successfully',
         'click_to_zoom': 'Click image to zoom',
 
@@ -275,8 +565,11 @@
   const utils = {
     // Get today's date string as seed
     getDailySeed() {
-      const now = new Date();
-      return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+      return this.formatLocalDay(new Date());
+    },
+
+    formatLocalDay(date) {
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
     },
 
     // Mulberry32 PRNG - generates deterministic random numbers from seed
@@ -342,10 +635,64 @@
       return Math.floor((to.getTime() - from.getTime()) / msPerDay);
     },
 
+    // The private memo that carries synced review history is never a review candidate.
+    isSyncMemo(memo) {
+      return Array.isArray(memo?.tags) && memo.tags.includes(CONFIG.SYNC_TAG);
+    },
+
+    memoMatchesQuery(memo, query) {
+      const needle = String(query || '').trim().toLowerCase();
+      if (!needle) return false;
+      return String(memo?.content || '').toLowerCase().includes(needle);
+    },
+
+    isDayString(value) {
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        && Number.isFinite(this.parseLocalDay(value).getTime());
+    },
+
+    /**
+     * Resolve a time range key to creation-time bounds.
+     * Preset keys come from CONFIG.TIME_RANGES; custom keys look like `custom:2023-01-01:2023-12-31`
+     * (either day may be empty). The end day is inclusive.
+     * @returns {{startMs: number|null, endMs: number|null}}
+     */
+    getTimeRangeBounds(timeRange) {
+      if (typeof timeRange === 'string' && timeRange.startsWith('custom:')) {
+        const [, start, end] = timeRange.split(':');
+        return {
+          startMs: this.isDayString(start) ? this.parseLocalDay(start).getTime() : null,
+          endMs: this.isDayString(end) ? this.parseLocalDay(this.addDays(end, 1)).getTime() : null
+        };
+      }
+      const timeRangeConfig = CONFIG.TIME_RANGES.find((t) => t.value === timeRange);
+      if (!timeRangeConfig || timeRangeConfig.days === null) return { startMs: null, endMs: null };
+      return { startMs: Date.now() - (timeRangeConfig.days * 24 * 60 * 60 * 1000), endMs: null };
+    },
+
+    addDays(dayString, days) {
+      const date = this.parseLocalDay(dayString);
+      date.setDate(date.getDate() + days);
+      return this.formatLocalDay(date);
+    },
+
     getMemoId(memo) {
       return memo?.name || memo?.id || memo?.uid || '';
     },
 
+    // In-app link to a memo: `/m/<uid>` when the server exposes uids, else the resource path (`/memos/<id>`).
+    getMemoLink(memo) {
+      if (memo?.uid) return `/m/${memo.uid}`;
+      const name = memo?.name || memo?.id || '';
+      return name ? `/${name}` : '';
+    },
+
+    // One-line plain preview of memo content (tags removed, whitespace collapsed).
+    getSnippet(content, maxLength = 80) {
+      const text = this.removeTagsFromContent(content || '').replace(/\s+/g, ' ').trim();
+      return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+    },
+
     normalizeMemo(memo) {
       const id = this.getMemoId(memo);
       const attachments = Array.isArray(memo?.attachments)
@@ -364,10 +711,53 @@
         name: memo?.name,
         uid: memo?.uid,
         createTime: memo?.createTime,
+        visibility: memo?.visibility,
+        pinned: memo?.pinned === true,
         content,
         tags: this.extractTags(content),
-        attachments
+        attachments,
+        relations: this.normalizeRelations(memo?.relations)
+      };
+    },
+
+    /**
+     * Relations as { type, memo: { name, snippet }, relatedMemo: { name, snippet } }.
+     * Servers send memo references as objects, plain names, or (older) numeric ids.
+     */
+    normalizeRelations(relations) {
+      if (!Array.isArray(relations)) return [];
+      const toRef = (ref, legacyId) => {
+        if (typeof ref === 'string') return { name: ref, snippet: '' };
+        if (ref && typeof ref === 'object' && ref.name) return { name: ref.name, snippet: typeof ref.snippet === 'string' ? ref.snippet : '' };
+        if (legacyId !== undefined && legacyId !== null && legacyId !== '') return { name: `memos/${legacyId}`, snippet: '' };
+        return null;
       };
+      return relations
+        .filter((rel) => rel && typeof rel === 'object')
+        .map((rel) => ({
+          type: rel.type || 'REFERENCE',
+          memo: toRef(rel.memo, rel.memoId),
+          relatedMemo: toRef(rel.relatedMemo, rel.relatedMemoId)
+        }))
+        .filter((rel) => rel.memo && rel.relatedMemo);
+    },
+
+    // Relations of a memo by kind: memos it links to, memos linking to it, and its comments.
+    getMemoLinks(memo) {
+      const self = memo?.name || memo?.id;
+      const linked = [];
+      const referencedBy = [];
+      const comments = [];
+      for (const rel of Array.isArray(memo?.relations) ? memo.relations : []) {
+        if (rel.type === 'COMMENT') {
+          if (rel.relatedMemo.name === self && rel.memo.name !== self) comments.push(rel.memo);
+          continue;
+        }
+        if (rel.type !== 'REFERENCE') continue;
+        if (rel.memo.name === self && rel.relatedMemo.name !== self) linked.push(rel.relatedMemo);
+        else if (rel.relatedMemo.name === self && rel.memo.name !== self) referencedBy.push(rel.memo);
+      }
+      return { linked, referencedBy, comments };
     },
 
     // Escape HTML to prevent XSS
@@ -433,6 +823,12 @@
       return Array.from(tags);
     },
 
+    // Match a tag against a filter tag, including nested tags (e.g. "work" matches "work/project").
+    tagMatches(tag, filterTag) {
+      if (!tag || !filterTag) return false;
+      return tag === filterTag || tag.startsWith(`${filterTag}/`);
+    },
+
     // Remove tags from content for display
     removeTagsFromContent(content) {
       const text = content || '';
@@ -838,8 +1234,17 @@
         console.warn('[DailyReview] Storage state before cleanup:');
         this.logStorageReport();
 
+        // With IndexedDB, decks, pools and history are not kept in localStorage; a copy still found
+        // there is waiting to be merged into IndexedDB, so pruning it would lose data.
+        if (dataStore.backend === 'indexedDB') {
+          console.error('[DailyReview] Nothing to clean up: deck, pool and history data live in IndexedDB');
+          return false;
+        }
+
         // Strategy 1: Clear old deck cache (keep only most recent)
-        const deckStore = this.getItem(CONFIG.CACHE_KEY);
+        const deckKey = profileService.scopedKey(CONFIG.CACHE_KEY);
+        const historyKey = profileService.scopedKey(CONFIG.HISTORY_KEY);
+        const deckStore = this.getItem(deckKey);
         if (deckStore) {
           try {
             const parsed = JSON.parse(deckStore);
@@ -850,7 +1255,7 @@
               for (const k of Object.keys(parsed.decks)) {
                 if (!keep.has(k)) delete parsed.decks[k];
               }
-              localStorage.setItem(CONFIG.CACHE_KEY, JSON.stringify(parsed));
+              localStorage.setItem(deckKey, JSON.stringify(parsed));
               console.log('Cleared old deck cache entries');
 
               // Retry write
@@ -881,7 +1286,7 @@
         }
 
         // Strategy 3: Aggressively prune history to 1000 items
-        const historyData = this.getItem(CONFIG.HISTORY_KEY);
+        const historyData = this.getItem(historyKey);
         if (historyData) {
           try {
             const parsed = JSON.parse(historyData);
@@ -899,7 +1304,7 @@
                 for (let i = 0; i < removeCount; i++) {
                   delete parsed.items[entries[i].id];
                 }
-                localStorage.setItem(CONFIG.HISTORY_KEY, JSON.stringify(parsed));
+                localStorage.setItem(historyKey, JSON.stringify(parsed));
                 console.log('Aggressively pruned history to 1000 items');
 
                 // Retry write
@@ -956,7 +1361,11 @@
         CONFIG.POOL_KEY,
         CONFIG.HISTORY_KEY,
         CONFIG.CAPABILITY_KEY,
-        CONFIG.BATCH_KEY
+        CONFIG.BATCH_KEY,
+        CONFIG.PROFILES_KEY,
+        CONFIG.SYNC_KEY,
+        CONFIG.FAVORITES_KEY,
+        ...profileService.getExtraProfileKeys()
       ];
 
       for (const key of pluginKeys) {
@@ -1017,6 +1426,197 @@
     }
   };
 
+  // ============================================
+  // Data Store (IndexedDB with localStorage fallback)
+  // ============================================
+  /**
+   * Storage for the large, frequently rewritten data: memo pools, deck caches and review history.
+   * With IndexedDB, records live in keyed object stores and are hydrated into memory once at
+   * startup, so reads stay synchronous; writes update memory and persist in the background.
+   * Without IndexedDB (or before it opens), values are JSON in localStorage via storageUtils.
+   */
+  const dataStore = {
+    backend: 'localStorage',
+    db: null,
+    records: new Map(),
+    readyPromise: null,
+
+    // Object store for a storage key (profile-scoped variants included), or null if not managed here.
+    getStoreName(key) {
+      const matches = (base) => key === base || key.startsWith(`${base}:`);
+      if (matches(CONFIG.POOL_KEY)) return 'pools';
+      if (matches(CONFIG.CACHE_KEY)) return 'decks';
+      if (matches(CONFIG.HISTORY_KEY)) return 'history';
+      return null;
+    },
+
+    usesIndexedDB(key) {
+      return this.backend === 'indexedDB' && !!this.getStoreName(key);
+    },
+
+    clone(value) {
+      return typeof structuredClone === 'function' ? structuredClone(value) : JSON.parse(JSON.stringify(value));
+    },
+
+    get(key) {
+      if (this.usesIndexedDB(key)) {
+        return this.records.has(key) ? this.clone(this.records.get(key)) : null;
+      }
+      try {
+        const saved = localStorage.getItem(key);
+        return saved ? JSON.parse(saved) : null;
+      } catch (e) {
+        console.error('Failed to read stored data:', key, e);
+        return null;
+      }
+    },
+
+    set(key, value) {
+      if (this.usesIndexedDB(key)) {
+        this.records.set(key, this.clone(value));
+        this.persist(key, value);
+        return true;
+      }
+      return storageUtils.setItem(key, JSON.stringify(value));
+    },
+
+    remove(key) {
+      if (this.usesIndexedDB(key)) {
+        this.records.delete(key);
+        this.persist(key, undefined);
+      }
+      storageUtils.removeItem(key);
+    },
+
+    request(storeName, mode, action) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(storeName, mode);
+        const req = action(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    },
+
+    // Resolves false instead of rejecting; the in-memory copy stays authoritative for this session.
+    persist(key, value) {
+      const storeName = this.getStoreName(key);
+      if (!this.db || !storeName) return Promise.resolve(false);
+      return this.request(storeName, 'readwrite', (store) => (value === undefined ? store.delete(key) : store.put({ key, value })))
+        .then(() => true)
+        .catch((e) => {
+          console.error('[DailyReview] Failed to write to IndexedDB:', key, e);
+          return false;
+        });
+    },
+
+    openDatabase() {
+      return new Promise((resolve, reject) => {
+        const request = indexedDB.open(CONFIG.IDB_NAME, CONFIG.IDB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          for (const name of CONFIG.IDB_STORES) {
+            if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'key' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+      });
+    },
+
+    // Keys that may still hold data in localStorage from before the switch (or a fallback session).
+    getLegacyKeys() {
+      const keys = [CONFIG.POOL_KEY];
+      for (const profile of profileService.getState().profiles) {
+        keys.push(profileService.scopedKey(CONFIG.CACHE_KEY, profile.id), profileService.scopedKey(CONFIG.HISTORY_KEY, profile.id));
+      }
+      return keys;
+    },
+
+    // Newest timestamp in a pool/deck store, whether single-entry (older schema) or keyed.
+    getNewestTimestamp(value, field) {
+      const entries = value[field] && typeof value[field] === 'object' ? Object.values(value[field]) : [value];
+      return entries.reduce((max, entry) => Math.max(max, typeof entry?.timestamp === 'number' ? entry.timestamp : 0), 0);
+    },
+
+    /**
+     * Combine a localStorage copy with the IndexedDB record of the same key.
+     * A session that fell back to localStorage may have written a partial copy, so neither side
+     * simply replaces the other: history merges per memo, pools and decks keep the newer entry.
+     */
+    mergeRecords(key, stored, legacy) {
+      if (!stored || typeof stored !== 'object') return legacy;
+      if (!legacy || typeof legacy !== 'object') return stored;
+      const storeName = this.getStoreName(key);
+      if (storeName === 'history') {
+        return historyService.prune({ ...stored, items: historyService.mergeItems(stored.items || {}, legacy.items || {}) });
+      }
+
+      const field = storeName === 'decks' ? 'decks' : 'entries';
+      const legacyNewer = this.getNewestTimestamp(legacy, field) > this.getNewestTimestamp(stored, field);
+      const mergeable = stored[field] && typeof stored[field] === 'object'
+        && legacy[field] && typeof legacy[field] === 'object'
+        && stored.schemaVersion === legacy.schemaVersion;
+      if (!mergeable) return legacyNewer ? legacy : stored;
+
+      const merged = { ...stored[field] };
+      for (const [entryKey, entry] of Object.entries(legacy[field])) {
+        const current = merged[entryKey];
+        if (!current || (entry?.timestamp || 0) > (current.timestamp || 0)) merged[entryKey] = entry;
+      }
+      const result = { ...stored, [field]: merged };
+      if (storeName === 'decks' && legacyNewer && legacy.lastKey) result.lastKey = legacy.lastKey;
+      return result;
+    },
+
+    // Move localStorage data into IndexedDB, merged with what is already there;
+    // localStorage copies are only removed once written.
+    async migrateFromLocalStorage() {
+      for (const key of this.getLegacyKeys()) {
+        let value = null;
+        try {
+          const saved = localStorage.getItem(key);
+          if (!saved) continue;
+          value = JSON.parse(saved);
+        } catch (e) {
+          console.warn('[DailyReview] Dropping unreadable legacy data:', key, e);
+        }
+        if (value !== null) {
+          const merged = this.mergeRecords(key, this.records.get(key), value);
+          this.records.set(key, merged);
+          if (!(await this.persist(key, merged))) continue;
+        }
+        storageUtils.removeItem(key);
+      }
+    },
+
+    async open() {
+      if (typeof indexedDB === 'undefined' || !indexedDB) throw new Error('IndexedDB not supported');
+      this.db = await this.openDatabase();
+      for (const name of CONFIG.IDB_STORES) {
+        const rows = await this.request(name, 'readonly', (store) => store.getAll());
+        for (const row of rows || []) {
+          if (row && typeof row.key === 'string') this.records.set(row.key, row.value);
+        }
+      }
+      this.backend = 'indexedDB';
+      await this.migrateFromLocalStorage();
+    },
+
+    // Switch to IndexedDB when possible; always resolves (falls back to localStorage on failure).
+    init() {
+      if (!this.readyPromise) {
+        this.readyPromise = this.open().catch((e) => {
+          console.warn('[DailyReview] IndexedDB unavailable, using localStorage:', e);
+          this.backend = 'localStorage';
+          this.db = null;
+        });
+      }
+      return this.readyPromise;
+    }
+  };
+
   // ============================================
   // Cleanup Service
   // ============================================
@@ -1347,27 +1947,262 @@
     }
   };
 
+  // ============================================
+  // Profile Service
+  // ============================================
+  /**
+   * Named review profiles. Each profile has its own settings, history, batch and deck cache.
+   * The default profile keeps the original (unsuffixed) storage keys for backward compatibility.
+   */
+  const profileService = {
+    state: null,
+    scopedBaseKeys: [CONFIG.STORAGE_KEY, CONFIG.CACHE_KEY, CONFIG.HISTORY_KEY, CONFIG.BATCH_KEY, CONFIG.SYNC_KEY, CONFIG.FAVORITES_KEY],
+
+    getDefaultState() {
+      return {
+        activeId: CONFIG.DEFAULT_PROFILE_ID,
+        profiles: [{ id: CONFIG.DEFAULT_PROFILE_ID, name: '' }]
+      };
+    },
+
+    load() {
+      const fallback = this.getDefaultState();
+      try {
+        const saved = localStorage.getItem(CONFIG.PROFILES_KEY);
+        if (!saved) return fallback;
+        const parsed = JSON.parse(saved);
+        if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.profiles)) return fallback;
+        const profiles = parsed.profiles.filter((p) => p && typeof p.id === 'string' && p.id);
+        if (!profiles.some((p) => p.id === CONFIG.DEFAULT_PROFILE_ID)) {
+          profiles.unshift(fallback.profiles[0]);
+        }
+        const activeId = profiles.some((p) => p.id === parsed.activeId) ? parsed.activeId : CONFIG.DEFAULT_PROFILE_ID;
+        return { activeId, profiles };
+      } catch (e) {
+        console.error('Failed to load review profiles:', e);
+        return fallback;
+      }
+    },
+
+    getState() {
+      if (!this.state) {
+        this.state = this.load();
+      }
+      return this.state;
+    },
+
+    save(nextState) {
+      this.state = nextState;
+      storageUtils.setItem(CONFIG.PROFILES_KEY, JSON.stringify(nextState));
+    },
+
+    list() {
+      return this.getState().profiles.map((p) => ({ ...p }));
+    },
+
+    getActiveId() {
+      return this.getState().activeId;
+    },
+
+    getDisplayName(profile) {
+      if (!profile) return '';
+      if (profile.id === CONFIG.DEFAULT_PROFILE_ID && !profile.name) return i18n.t('profile_default');
+      return profile.name;
+    },
+
+    scopedKey(baseKey, profileId = this.getActiveId()) {
+      return profileId === CONFIG.DEFAULT_PROFILE_ID ? baseKey : `${baseKey}:${profileId}`;
+    },
+
+    // Storage keys owned by non-default profiles (for storage reports).
+    getExtraProfileKeys() {
+      const keys = [];
+      for (const profile of this.getState().profiles) {
+        if (profile.id === CONFIG.DEFAULT_PROFILE_ID) continue;
+        for (const baseKey of this.scopedBaseKeys) {
+          keys.push(this.scopedKey(baseKey, profile.id));
+        }
+      }
+      return keys;
+    },
+
+    setActive(profileId) {
+      const state = this.getState();
+      if (!state.profiles.some((p) => p.id === profileId)) return false;
+      this.save({ ...state, activeId: profileId });
+      return true;
+    },
+
+    create(name) {
+      const trimmed = (name || '').trim();
+      if (!trimmed) return null;
+      const state = this.getState();
+      const id = `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+      this.save({ activeId: id, profiles: [...state.profiles, { id, name: trimmed }] });
+      return id;
+    },
+
+    rename(profileId, name) {
+      const trimmed = (name || '').trim();
+      if (!trimmed) return false;
+      const state = this.getState();
+      const profiles = state.profiles.map((p) => (p.id === profileId ? { ...p, name: trimmed } : p));
+      this.save({ ...state, profiles });
+      return true;
+    },
+
+    remove(profileId) {
+      if (profileId === CONFIG.DEFAULT_PROFILE_ID) return false;
+      const state = this.getState();
+      if (!state.profiles.some((p) => p.id === profileId)) return false;
+      for (const baseKey of this.scopedBaseKeys) {
+        dataStore.remove(this.scopedKey(baseKey, profileId));
+      }
+      const profiles = state.profiles.filter((p) => p.id !== profileId);
+      const activeId = state.activeId === profileId ? CONFIG.DEFAULT_PROFILE_ID : state.activeId;
+      this.save({ activeId, profiles });
+      return true;
+    }
+  };
+
   // ============================================
   // Settings Service
   // ============================================
   const settingsService = {
+    getDefaults() {
+      return {
+        timeRange: CONFIG.DEFAULT_TIME_RANGE,
+        count: CONFIG.DEFAULT_COUNT,
+        mode: CONFIG.DEFAULT_REVIEW_MODE,
+        includeTags: [],
+        excludeTags: [],
+        onThisDayWindow: CONFIG.DEFAULT_ON_THIS_DAY_WINDOW,
+        customStart: '',
+        customEnd: '',
+        buckets: [],
+        favoriteCadence: CONFIG.DEFAULT_FAVORITE_CADENCE,
+        syncHistory: false,
+        reflectTag: true,
+        visibilityFilter: 'all'
+      };
+    },
+
+    // Built-in buckets (oldest first), matching the fixed newest/middle/oldest split.
+    getDefaultBuckets() {
+      return [
+        { minAgeDays: CONFIG.BUCKET_MIDDLE_DAYS + 1, weight: 1 },
+        { minAgeDays: CONFIG.BUCKET_NEWEST_DAYS + 1, weight: 1 },
+        { minAgeDays: 0, weight: 1 }
+      ];
+    },
+
+    /**
+     * Clean up user-defined buckets: integer ages and weights, unique boundaries sorted oldest first,
+     * and always a `minAgeDays: 0` bucket so every memo belongs somewhere.
+     * Returns [] (use the built-in buckets) when nothing valid remains, no bucket has weight,
+     * or the result equals the built-in buckets.
+     */
+    normalizeBuckets(value) {
+      if (!Array.isArray(value)) return [];
+      const byAge = new Map();
+      for (const bucket of value) {
+        if (!bucket || typeof bucket !== 'object') continue;
+        const minAgeDays = Math.floor(Number(bucket.minAgeDays));
+        const weight = Math.floor(Number(bucket.weight));
+        if (!Number.isFinite(minAgeDays) || minAgeDays < 0 || minAgeDays > CONFIG.BUCKET_AGE_MAX_DAYS) continue;
+        if (!Number.isFinite(weight) || weight < 0) continue;
+        byAge.set(minAgeDays, Math.min(weight, CONFIG.BUCKET_WEIGHT_MAX));
+      }
+      if (!byAge.has(0)) byAge.set(0, 0);
+      const buckets = Array.from(byAge, ([minAgeDays, weight]) => ({ minAgeDays, weight }))
+        .sort((a, b) => b.minAgeDays - a.minAgeDays)
+        .slice(0, CONFIG.BUCKETS_MAX);
+      if (buckets[buckets.length - 1].minAgeDays !== 0) buckets[buckets.length - 1].minAgeDays = 0;
+      if (!buckets.some((b) => b.weight > 0) || this.isDefaultBuckets(buckets)) return [];
+      return buckets;
+    },
+
+    isDefaultBuckets(buckets) {
+      const defaults = this.getDefaultBuckets();
+      return buckets.length === defaults.length
+        && buckets.every((b, i) => b.minAgeDays === defaults[i].minAgeDays && b.weight === defaults[i].weight);
+    },
+
+    getBuckets(settings) {
+      const buckets = this.normalizeBuckets(settings && settings.buckets);
+      return buckets.length > 0 ? buckets : this.getDefaultBuckets();
+    },
+
+    // Time range key used for pool/deck caching and fetching; custom ranges embed their dates.
+    getTimeRangeKey(settings) {
+      if (settings.timeRange !== 'custom') return settings.timeRange;
+      return `custom:${settings.customStart || ''}:${settings.customEnd || ''}`;
+    },
+
+    normalizeTagList(value) {
+      if (!Array.isArray(value)) return [];
+      return Array.from(new Set(value.filter((tag) => typeof tag === 'string' && tag.trim() !== '').map((tag) => tag.trim())));
+    },
+
+    // Fingerprint of the settings that change deck contents beyond range/count.
+    // Empty for defaults so deck keys from older versions stay valid.
+    getDeckVariant(settings) {
+      const parts = [];
+      if (settings.mode && settings.mode !== CONFIG.DEFAULT_REVIEW_MODE) parts.push(settings.mode);
+      if (settings.mode === 'onthisday') parts.push(`w${settings.onThisDayWindow}`);
+      const include = this.normalizeTagList(settings.includeTags).sort();
+      const exclude = this.normalizeTagList(settings.excludeTags).sort();
+      if (include.length > 0) parts.push(`in:${include.join(',')}`);
+      if (exclude.length > 0) parts.push(`ex:${exclude.join(',')}`);
+      const buckets = this.normalizeBuckets(settings.buckets);
+      if (buckets.length > 0) parts.push(`b:${buckets.map((b) => `${b.minAgeDays}x${b.weight}`).join(',')}`);
+      if (settings.favoriteCadence && settings.favoriteCadence !== CONFIG.DEFAULT_FAVORITE_CADENCE) {
+        parts.push(`fav:${settings.favoriteCadence}`);
+      }
+      if (CONFIG.VISIBILITIES.includes(settings.visibilityFilter)) parts.push(`vis:${settings.visibilityFilter}`);
+      return parts.join('-');
+    },
+
     load() {
+      const defaults = this.getDefaults();
       try {
-        const saved = localStorage.getItem(CONFIG.STORAGE_KEY);
+        const saved = localStorage.getItem(profileService.scopedKey(CONFIG.STORAGE_KEY));
         if (saved) {
-          return JSON.parse(saved);
+          const parsed = JSON.parse(saved);
+          if (parsed && typeof parsed === 'object') {
+            const settings = { ...defaults, ...parsed };
+            if (!CONFIG.REVIEW_MODES.includes(settings.mode)) settings.mode = defaults.mode;
+            settings.includeTags = this.normalizeTagList(settings.includeTags);
+            settings.excludeTags = this.normalizeTagList(settings.excludeTags);
+            settings.buckets = this.normalizeBuckets(settings.buckets);
+            settings.favoriteCadence = String(settings.favoriteCadence);
+            if (!CONFIG.FAVORITE_CADENCES.includes(settings.favoriteCadence)) {
+              settings.favoriteCadence = defaults.favoriteCadence;
+            }
+            settings.onThisDayWindow = parseInt(settings.onThisDayWindow, 10);
+            if (!CONFIG.ON_THIS_DAY_WINDOWS.includes(settings.onThisDayWindow)) {
+              settings.onThisDayWindow = defaults.onThisDayWindow;
+            }
+            if (!CONFIG.TIME_RANGES.some((t) => t.value === settings.timeRange)) settings.timeRange = defaults.timeRange;
+            settings.syncHistory = settings.syncHistory === true;
+            settings.reflectTag = settings.reflectTag !== false;
+            if (!CONFIG.VISIBILITIES.includes(settings.visibilityFilter)) settings.visibilityFilter = 'all';
+            if (!utils.isDayString(settings.customStart)) settings.customStart = '';
+            if (!utils.isDayString(settings.customEnd)) settings.customEnd = '';
+            if (settings.customStart && settings.customEnd && settings.customStart > settings.customEnd) {
+              [settings.customStart, settings.customEnd] = [settings.customEnd, settings.customStart];
+            }
+            return settings;
+          }
         }
       } catch (e) {
         console.error('Failed to load daily review settings:', e);
       }
-      return {
-        timeRange: CONFIG.DEFAULT_TIME_RANGE,
-        count: CONFIG.DEFAULT_COUNT
-      };
+      return defaults;
     },
 
     save(settings) {
-      storageUtils.setItem(CONFIG.STORAGE_KEY, JSON.stringify(settings));
+      storageUtils.setItem(profileService.scopedKey(CONFIG.STORAGE_KEY), JSON.stringify(settings));
     }
   };
 
@@ -1378,7 +2213,7 @@
     // Load batch number for today
     load() {
       try {
-        const saved = localStorage.getItem(CONFIG.BATCH_KEY);
+        const saved = localStorage.getItem(profileService.scopedKey(CONFIG.BATCH_KEY));
         if (!saved) return 0;
         const data = JSON.parse(saved);
         const today = utils.getDailySeed();
@@ -1394,34 +2229,89 @@
     save(batch) {
       const today = utils.getDailySeed();
       const data = { day: today, batch };
-      storageUtils.setItem(CONFIG.BATCH_KEY, JSON.stringify(data));
+      storageUtils.setItem(profileService.scopedKey(CONFIG.BATCH_KEY), JSON.stringify(data));
     }
   };
 
   // ============================================
-  // Review History Service
+  // Favorites Service
   // ============================================
-  const historyService = {
-    load() {
+  /**
+   * Starred memos that come back on a fixed cadence (see CONFIG.FAVORITE_CADENCES).
+   * Stored per profile as `{ items: { [memoId]: { addedAt } } }`.
+   */
+  const favoriteService = {
+    load(profileId) {
       try {
-        const saved = localStorage.getItem(CONFIG.HISTORY_KEY);
-        if (!saved) return { schemaVersion: CONFIG.DECK_SCHEMA_VERSION, items: {} };
-        const parsed = JSON.parse(saved);
-        if (parsed && typeof parsed === 'object' && parsed.items && typeof parsed.items === 'object') {
-          return { schemaVersion: CONFIG.DECK_SCHEMA_VERSION, items: parsed.items };
+        const saved = localStorage.getItem(profileService.scopedKey(CONFIG.FAVORITES_KEY, profileId));
+        const parsed = saved ? JSON.parse(saved) : null;
+        if (parsed && parsed.items && typeof parsed.items === 'object' && !Array.isArray(parsed.items)) {
+          return { items: parsed.items };
         }
       } catch (e) {
-        console.error('Failed to load daily review history:', e);
+        console.error('Failed to load favourites:', e);
+      }
+      return { items: {} };
+    },
+
+    save(favorites, profileId) {
+      storageUtils.setItem(profileService.scopedKey(CONFIG.FAVORITES_KEY, profileId), JSON.stringify(favorites));
+    },
+
+    list() {
+      return Object.keys(this.load().items);
+    },
+
+    isFavorite(memoId) {
+      return !!memoId && Object.prototype.hasOwnProperty.call(this.load().items, memoId);
+    },
+
+    // Returns the new state: true when the memo is now a favourite.
+    toggle(memoId) {
+      if (!memoId) return false;
+      const favorites = this.load();
+      const next = !favorites.items[memoId];
+      if (next) {
+        favorites.items[memoId] = { addedAt: Date.now() };
+      } else {
+        delete favorites.items[memoId];
+      }
+      this.save(favorites);
+      return next;
+    },
+
+    remove(memoId, profileId) {
+      const favorites = this.load(profileId);
+      if (!favorites.items[memoId]) return;
+      delete favorites.items[memoId];
+      this.save(favorites, profileId);
+    }
+  };
+
+  // ============================================
+  // Review History Service
+  // ============================================
+  const historyService = {
+    load() {
+      const parsed = dataStore.get(profileService.scopedKey(CONFIG.HISTORY_KEY));
+      if (parsed && typeof parsed === 'object' && parsed.items && typeof parsed.items === 'object') {
+        return { schemaVersion: CONFIG.DECK_SCHEMA_VERSION, items: parsed.items };
       }
       return { schemaVersion: CONFIG.DECK_SCHEMA_VERSION, items: {} };
     },
 
     save(history) {
-      storageUtils.setItem(CONFIG.HISTORY_KEY, JSON.stringify(history));
+      dataStore.set(profileService.scopedKey(CONFIG.HISTORY_KEY), history);
     },
 
     prune(history) {
       if (!history || !history.items || typeof history.items !== 'object') return history;
+      const today = utils.getDailySeed();
+      // The pre-grade snapshot only serves same-day re-grading; drop it once that day has passed.
+      for (const entry of Object.values(history.items)) {
+        if (entry && entry.previousSchedule && entry.lastReviewDay !== today) delete entry.previousSchedule;
+      }
+
       const ids = Object.keys(history.items);
       // Use HISTORY_SOFT_LIMIT as the threshold for pruning
       if (ids.length <= CONFIG.HISTORY_SOFT_LIMIT) return history;
@@ -1429,6 +2319,9 @@
       const entries = ids
         .map((id) => {
           const entry = history.items[id] || {};
+          // Snoozed and excluded memos would reappear if their entry were dropped, and scheduled ones
+          // (shown long ago by design when their interval is long) would lose their schedule.
+          if (this.isHidden(history, id, today) || this.getDueDay(history, id)) return { id, dayTs: Number.POSITIVE_INFINITY };
           const day = typeof entry.lastShownDay === 'string' ? entry.lastShownDay : '';
           const dayTs = day ? utils.parseLocalDay(day).getTime() : 0;
           return { id, dayTs };
@@ -1458,54 +2351,434 @@
       const entry = history.items[memoId] || { lastShownDay: null, shownCount: 0 };
       entry.lastShownDay = today;
       entry.shownCount = (entry.shownCount || 0) + 1;
+      entry.updatedAt = Date.now();
       history.items[memoId] = entry;
       this.prune(history);
       this.save(history);
-    }
-  };
+    },
 
-  // ============================================
-  // Pool Cache Service
-  // ============================================
-  const poolService = {
-    load(timeRange) {
-      try {
-        const saved = localStorage.getItem(CONFIG.POOL_KEY);
-        if (!saved) return null;
-        const parsed = JSON.parse(saved);
-        if (!parsed || typeof parsed !== 'object') return null;
-        if (parsed.timeRange !== timeRange) return null;
-        if (!Array.isArray(parsed.memos)) return null;
-        if (typeof parsed.timestamp !== 'number') return null;
-        if (Date.now() - parsed.timestamp > CONFIG.POOL_TTL_MS) return null;
-        return parsed.memos;
-      } catch (e) {
-        console.error('Failed to load memo pool cache:', e);
+    // Apply an explicit recall grade (1-4) and store the resulting schedule on the entry.
+    // Re-grading on the same day replaces that day's grade instead of compounding it.
+    markReviewed(memoId, grade, today) {
+      if (!memoId) return;
+      const history = this.load();
+      const entry = history.items[memoId] || { lastShownDay: null, shownCount: 0 };
+      const base = entry.lastReviewDay === today && entry.previousSchedule ? entry.previousSchedule : entry;
+      const previousSchedule = {
+        interval: base.interval,
+        ease: base.ease,
+        reps: base.reps,
+        lapses: base.lapses,
+        dueDay: base.dueDay,
+        lastGrade: base.lastGrade,
+        lastReviewDay: base.lastReviewDay,
+        gradeCount: base.gradeCount
+      };
+      history.items[memoId] = {
+        ...entry,
+        ...schedulerService.review(base, grade, today),
+        gradeCount: (base.gradeCount || 0) + 1,
+        previousSchedule,
+        updatedAt: Date.now()
+      };
+      this.prune(history);
+      this.save(history);
+    },
+
+    // Most recent activity day of an entry ('' when never shown or graded).
+    getLastActiveDay(entry) {
+      const shown = entry?.lastShownDay || '';
+      const reviewed = entry?.lastReviewDay || '';
+      return shown > reviewed ? shown : reviewed;
+    },
+
+    /**
+     * Last-write-wins merge of two history item maps, per memo.
+     * Newer `updatedAt` wins; entries without it (older data) compare by last activity day.
+     * Local wins ties. `shownCount` keeps the higher of the two.
+     */
+    mergeItems(localItems, incomingItems) {
+      const merged = { ...localItems };
+      for (const [memoId, incoming] of Object.entries(incomingItems || {})) {
+        const local = merged[memoId];
+        if (!local) {
+          merged[memoId] = incoming;
+          continue;
+        }
+        const localTs = local.updatedAt || 0;
+        const incomingTs = incoming.updatedAt || 0;
+        const incomingWins = localTs !== incomingTs
+          ? incomingTs > localTs
+          : this.getLastActiveDay(incoming) > this.getLastActiveDay(local);
+        const winner = incomingWins ? incoming : local;
+        merged[memoId] = { ...winner, shownCount: Math.max(local.shownCount || 0, incoming.shownCount || 0) };
       }
-      return null;
+      return merged;
     },
 
-    save(timeRange, memos) {
-      storageUtils.setItem(
-        CONFIG.POOL_KEY,
-        JSON.stringify({ schemaVersion: CONFIG.DECK_SCHEMA_VERSION, timeRange, memos, timestamp: Date.now() })
-      );
+    // Excluded memos, and snoozed ones until their `snoozedUntil` day, stay out of every deck.
+    isHidden(history, memoId, today) {
+      const entry = this.getEntry(history, memoId);
+      if (!entry) return false;
+      if (entry.excluded === true) return true;
+      return typeof entry.snoozedUntil === 'string' && entry.snoozedUntil > today;
+    },
+
+    setVisibility(memoId, patch) {
+      if (!memoId) return;
+      const history = this.load();
+      const { snoozedUntil, excluded, ...entry } = history.items[memoId] || { lastShownDay: null, shownCount: 0 };
+      history.items[memoId] = { ...entry, ...patch, updatedAt: Date.now() };
+      this.prune(history);
+      this.save(history);
+    },
+
+    snooze(memoId, untilDay) {
+      this.setVisibility(memoId, { snoozedUntil: untilDay });
+    },
+
+    exclude(memoId) {
+      this.setVisibility(memoId, { excluded: true });
+    },
+
+    restore(memoId) {
+      this.setVisibility(memoId, {});
+    },
+
+    // Currently hidden memos: excluded ones first, then snoozes ending soonest.
+    listHidden(history, today) {
+      return Object.keys(history.items)
+        .filter((memoId) => this.isHidden(history, memoId, today))
+        .map((memoId) => ({
+          memoId,
+          excluded: history.items[memoId].excluded === true,
+          snoozedUntil: history.items[memoId].snoozedUntil || null
+        }))
+        .sort((a, b) => (Number(b.excluded) - Number(a.excluded)) || String(a.snoozedUntil).localeCompare(String(b.snoozedUntil)));
+    },
+
+    getGradeForDay(history, memoId, day) {
+      const entry = this.getEntry(history, memoId);
+      if (!entry || entry.lastReviewDay !== day) return null;
+      return typeof entry.lastGrade === 'number' ? entry.lastGrade : null;
+    },
+
+    getDueDay(history, memoId) {
+      const entry = this.getEntry(history, memoId);
+      return entry && typeof entry.dueDay === 'string' ? entry.dueDay : null;
     }
   };
 
   // ============================================
-  // Deck Cache Service
+  // Spaced Repetition Scheduler (SM-2)
   // ============================================
-  const deckService = {
-    makeKey(day, timeRange, count, batch) {
-      return `${day}-${timeRange}-${count}-${batch}`;
+  const schedulerService = {
+    // Grades follow the Again / Hard / Good / Easy convention (1-4).
+    GRADES: { AGAIN: 1, HARD: 2, GOOD: 3, EASY: 4 },
+
+    normalizeGrade(grade) {
+      const value = parseInt(grade, 10);
+      if (!Number.isFinite(value)) return this.GRADES.GOOD;
+      return Math.max(this.GRADES.AGAIN, Math.min(this.GRADES.EASY, value));
+    },
+
+    /**
+     * Compute the next schedule for a history entry.
+     * Maps 1-4 grades onto SM-2 quality (Again=1, Hard=3, Good=4, Easy=5).
+     * @returns {Object} { interval, ease, reps, lapses, dueDay, lastGrade, lastReviewDay }
+     */
+    review(entry, grade, today) {
+      const g = this.normalizeGrade(grade);
+      const quality = g === this.GRADES.AGAIN ? 1 : g + 1;
+      const prevEase = typeof entry?.ease === 'number' ? entry.ease : CONFIG.SRS_INITIAL_EASE;
+      const prevInterval = typeof entry?.interval === 'number' ? entry.interval : 0;
+      const prevReps = typeof entry?.reps === 'number' ? entry.reps : 0;
+      let lapses = typeof entry?.lapses === 'number' ? entry.lapses : 0;
+
+      let reps;
+      let interval;
+      if (quality < 3) {
+        reps = 0;
+        interval = 1;
+        lapses += 1;
+      } else {
+        reps = prevReps + 1;
+        if (reps === 1) {
+          interval = 1;
+        } else if (reps === 2) {
+          interval = 6;
+        } else {
+          interval = Math.round(prevInterval * prevEase);
+        }
+        if (g === this.GRADES.HARD) {
+          interval = Math.max(1, Math.round(interval * 0.8));
+        } else if (g === this.GRADES.EASY) {
+          interval = Math.round(interval * 1.3) + 1;
+        }
+      }
+
+      const delta = 5 - quality;
+      const ease = Math.max(CONFIG.SRS_MIN_EASE, prevEase + 0.1 - delta * (0.08 + delta * 0.02));
+      interval = Math.min(CONFIG.SRS_MAX_INTERVAL_DAYS, Math.max(1, interval));
+
+      return {
+        interval,
+        ease: Math.round(ease * 100) / 100,
+        reps,
+        lapses,
+        dueDay: utils.addDays(today, interval),
+        lastGrade: g,
+        lastReviewDay: today
+      };
+    },
+
+    getOverdueDays(history, memoId, today) {
+      const dueDay = historyService.getDueDay(history, memoId);
+      if (!dueDay) return null;
+      return utils.diffDays(dueDay, today);
+    }
+  };
+
+  // ============================================
+  // Similarity Service (content-based spark pairs)
+  // ============================================
+  /**
+   * TF-IDF cosine similarity over memo content, computed in the browser on the cached pool.
+   * Latin/Cyrillic/Greek text is split into words; CJK runs (written without spaces) become
+   * character bigrams, which works well for Chinese without a dictionary.
+   */
+  const similarityService = {
+    wordRun: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Greek}\p{N}]+/gu,
+    cjkChar: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u,
+    stopWords: new Set([
+      'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our',
+      'out', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'two', 'who', 'did', 'get', 'let',
+      'this', 'that', 'with', 'have', 'from', 'they', 'will', 'would', 'there', 'their', 'what', 'about', 'which',
+      'when', 'make', 'like', 'just', 'into', 'than', 'then', 'them', 'some', 'could', 'other', 'been', 'were',
+      'also', 'more', 'very', 'only', 'over', 'such', 'your', 'because', 'these', 'those', 'being', 'should',
+      '我们', '你们', '他们', '一个', '这个', '那个', '没有', '自己', '什么', '可以', '就是', '不是', '因为',
+      '所以', '但是', '如果', '已经', '还是', '然后', '现在', '今天', '时候', '这样', '一些', '这些', '那些', '觉得'
+    ]),
+
+    tokenize(content) {
+      const text = String(content || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/`[^`]*`/g, ' ')
+        .replace(/https?:\/\/\S+/g, ' ')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        // Tags are paired separately by findTagSparkPair.
+        .replace(/(^|\s)#[^\s#]+/g, ' ')
+        .toLowerCase();
+      const tokens = [];
+      for (const [run] of text.matchAll(this.wordRun)) {
+        if (this.cjkChar.test(run[0])) {
+          if (run.length === 1) {
+            tokens.push(run);
+            continue;
+          }
+          for (let i = 0; i < run.length - 1; i++) {
+            const bigram = run.slice(i, i + 2);
+            if (!this.stopWords.has(bigram)) tokens.push(bigram);
+          }
+        } else if (run.length >= 3 && !/^\d+$/.test(run) && !this.stopWords.has(run)) {
+          tokens.push(run);
+        }
+      }
+      return tokens;
+    },
+
+    /**
+     * Unit-length TF-IDF vectors (Map term -> weight), keeping the CONFIG.SPARK_MAX_TERMS strongest terms.
+     * @returns {Array<{memo: Object, vector: Map<string, number>}>}
+     */
+    buildVectors(memos) {
+      const counts = memos.map((memo) => {
+        const tf = new Map();
+        for (const token of this.tokenize(memo.content)) {
+          tf.set(token, (tf.get(token) || 0) + 1);
+        }
+        return tf;
+      });
+      const df = new Map();
+      for (const tf of counts) {
+        for (const token of tf.keys()) df.set(token, (df.get(token) || 0) + 1);
+      }
+
+      const total = memos.length;
+      return memos.map((memo, i) => {
+        const weights = Array.from(counts[i], ([token, count]) => [token, (1 + Math.log(count)) * Math.log((total + 1) / df.get(token))])
+          .filter(([, weight]) => weight > 0)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, CONFIG.SPARK_MAX_TERMS);
+        const norm = Math.sqrt(weights.reduce((sum, [, weight]) => sum + weight * weight, 0)) || 1;
+        return { memo, vector: new Map(weights.map(([token, weight]) => [token, weight / norm])) };
+      });
     },
 
+    /**
+     * Most similar pairs of memos created at least `minGapDays` apart, best first.
+     * Terms shared by too many memos are skipped: they add little and dominate the pair count.
+     * @returns {Array<{a: Object, b: Object, score: number, terms: string[]}>}
+     */
+    findSimilarPairs(memos, { minGapDays = CONFIG.SPARK_MIN_GAP_DAYS, minScore = CONFIG.SPARK_MIN_SIMILARITY, limit = CONFIG.SPARK_TOP_CHOICES } = {}) {
+      const docs = this.buildVectors(memos);
+      const times = docs.map((doc) => utils.toTimeMs(doc.memo.createTime, 0));
+      const maxDf = Math.max(3, Math.floor(docs.length * CONFIG.SPARK_MAX_DF_RATIO));
+      const postings = new Map();
+      docs.forEach((doc, i) => {
+        for (const token of doc.vector.keys()) {
+          if (!postings.has(token)) postings.set(token, []);
+          postings.get(token).push(i);
+        }
+      });
+
+      const minGapMs = minGapDays * 24 * 60 * 60 * 1000;
+      const dots = new Map();
+      for (const [token, list] of postings) {
+        if (list.length < 2 || list.length > Math.min(maxDf, CONFIG.SPARK_MAX_POSTINGS)) continue;
+        for (let x = 0; x < list.length; x++) {
+          for (let y = x + 1; y < list.length; y++) {
+            const i = list[x];
+            const j = list[y];
+            if (!times[i] || !times[j] || Math.abs(times[i] - times[j]) < minGapMs) continue;
+            const key = i * docs.length + j;
+            const entry = dots.get(key) || { score: 0, shared: 0 };
+            entry.score += docs[i].vector.get(token) * docs[j].vector.get(token);
+            entry.shared += 1;
+            dots.set(key, entry);
+          }
+        }
+      }
+
+      // A single shared rare term can score high on short memos; require some real overlap.
+      return Array.from(dots, ([key, { score, shared }]) => ({ i: Math.floor(key / docs.length), j: key % docs.length, score, shared }))
+        .filter((pair) => pair.score >= minScore && pair.shared >= CONFIG.SPARK_MIN_SHARED_TERMS)
+        .sort((p, q) => q.score - p.score)
+        .slice(0, limit)
+        .map(({ i, j, score }) => {
+          const [older, newer] = times[i] <= times[j] ? [docs[i], docs[j]] : [docs[j], docs[i]];
+          const terms = Array.from(older.vector.keys())
+            .filter((token) => newer.vector.has(token))
+            .sort((t, u) => (newer.vector.get(u) * older.vector.get(u)) - (newer.vector.get(t) * older.vector.get(t)))
+            .slice(0, 3);
+          return { a: older.memo, b: newer.memo, score, terms };
+        });
+    }
+  };
+
+  // ============================================
+  // Pool Cache Service
+  // ============================================
+  // Keeps up to CONFIG.POOL_MAX_ENTRIES pools so switching between ranges doesn't refetch.
+  const poolService = {
     loadStore() {
       try {
-        const saved = localStorage.getItem(CONFIG.CACHE_KEY);
-        if (!saved) return { schemaVersion: CONFIG.DECK_SCHEMA_VERSION, decks: {}, lastKey: '' };
-        const parsed = JSON.parse(saved);
+        const parsed = dataStore.get(CONFIG.POOL_KEY);
+        if (!parsed) return { schemaVersion: CONFIG.DECK_SCHEMA_VERSION, entries: {} };
+
+        // Backward compatible: older schema stored a single { timeRange, memos, timestamp }.
+        if (parsed && typeof parsed === 'object' && typeof parsed.timeRange === 'string' && Array.isArray(parsed.memos)) {
+          return {
+            schemaVersion: CONFIG.DECK_SCHEMA_VERSION,
+            entries: { [parsed.timeRange]: { memos: parsed.memos, timestamp: parsed.timestamp } }
+          };
+        }
+
+        if (parsed && typeof parsed === 'object' && parsed.entries && typeof parsed.entries === 'object') {
+          // Pools from an older schema miss memo fields (relations, visibility, pinned); refetch them.
+          if (parsed.schemaVersion !== CONFIG.DECK_SCHEMA_VERSION) return { schemaVersion: CONFIG.DECK_SCHEMA_VERSION, entries: {} };
+          return { schemaVersion: CONFIG.DECK_SCHEMA_VERSION, entries: parsed.entries };
+        }
+      } catch (e) {
+        console.error('Failed to load memo pool cache:', e);
+      }
+      return { schemaVersion: CONFIG.DECK_SCHEMA_VERSION, entries: {} };
+    },
+
+    /**
+     * Raw cache entry regardless of age.
+     * `timestamp` is the last write, `syncedAt` when the server was last asked for changes,
+     * `fullAt` when the pool was last fetched from scratch.
+     */
+    loadEntry(poolKey) {
+      const entry = this.loadStore().entries[poolKey];
+      if (!entry || typeof entry !== 'object') return null;
+      if (!Array.isArray(entry.memos)) return null;
+      if (typeof entry.timestamp !== 'number') return null;
+      return {
+        memos: entry.memos,
+        timestamp: entry.timestamp,
+        syncedAt: typeof entry.syncedAt === 'number' ? entry.syncedAt : entry.timestamp,
+        fullAt: typeof entry.fullAt === 'number' ? entry.fullAt : entry.timestamp
+      };
+    },
+
+    load(poolKey, maxAgeMs = CONFIG.POOL_TTL_MS) {
+      const entry = this.loadEntry(poolKey);
+      if (!entry) return null;
+      if (Date.now() - entry.timestamp > maxAgeMs) return null;
+      return entry.memos;
+    },
+
+    // `meta` carries syncedAt/fullAt after a fetch; local edits omit it and keep the previous values.
+    save(poolKey, memos, meta = {}) {
+      const store = this.loadStore();
+      const previous = store.entries[poolKey] || {};
+      const now = Date.now();
+      const fullAt = meta.fullAt ?? previous.fullAt ?? now;
+      store.entries[poolKey] = {
+        memos,
+        timestamp: now,
+        syncedAt: meta.syncedAt ?? previous.syncedAt ?? now,
+        fullAt,
+        // A full fetch starts over, so memos fetched alongside the old pool are asked for again.
+        fetched: fullAt === previous.fullAt ? previous.fetched : undefined
+      };
+
+      const keys = Object.keys(store.entries)
+        .filter((k) => {
+          const entry = store.entries[k];
+          const ts = entry?.fullAt ?? entry?.timestamp;
+          return typeof ts === 'number' && now - ts <= CONFIG.POOL_MAX_AGE_MS;
+        })
+        .sort((a, b) => store.entries[b].timestamp - store.entries[a].timestamp);
+      const keep = new Set(keys.slice(0, CONFIG.POOL_MAX_ENTRIES));
+      keep.add(poolKey);
+      for (const k of Object.keys(store.entries)) {
+        if (!keep.has(k)) delete store.entries[k];
+      }
+
+      dataStore.set(CONFIG.POOL_KEY, store);
+    },
+
+    // Memos fetched one by one for a pool (favourites, due memos): memo id -> memo, or null when it is gone.
+    loadFetched(poolKey) {
+      const fetched = this.loadStore().entries[poolKey]?.fetched;
+      return fetched && typeof fetched === 'object' ? fetched : {};
+    },
+
+    saveFetched(poolKey, fetched) {
+      const store = this.loadStore();
+      if (!store.entries[poolKey]) return;
+      store.entries[poolKey].fetched = fetched;
+      dataStore.set(CONFIG.POOL_KEY, store);
+    }
+  };
+
+  // ============================================
+  // Deck Cache Service
+  // ============================================
+  const deckService = {
+    makeKey(day, timeRange, count, batch, variant = '') {
+      const base = `${day}-${timeRange}-${count}-${batch}`;
+      return variant ? `${base}-${variant}` : base;
+    },
+
+    // `profileId` defaults to the active profile; Undo passes the profile the memo was removed under.
+    loadStore(profileId) {
+      try {
+        const parsed = dataStore.get(profileService.scopedKey(CONFIG.CACHE_KEY, profileId));
+        if (!parsed) return { schemaVersion: CONFIG.DECK_SCHEMA_VERSION, decks: {}, lastKey: '' };
 
         // Backward compatible: older schema stored { key, memos, timestamp }.
         if (parsed && typeof parsed === 'object' && typeof parsed.key === 'string' && Array.isArray(parsed.memos)) {
@@ -1535,19 +2808,19 @@
       return { schemaVersion: CONFIG.DECK_SCHEMA_VERSION, decks: {}, lastKey: '' };
     },
 
-    saveStore(store) {
-      storageUtils.setItem(CONFIG.CACHE_KEY, JSON.stringify(store));
+    saveStore(store, profileId) {
+      dataStore.set(profileService.scopedKey(CONFIG.CACHE_KEY, profileId), store);
     },
 
-    getDeck(key) {
-      const store = this.loadStore();
+    getDeck(key, profileId) {
+      const store = this.loadStore(profileId);
       const deck = store.decks[key];
       if (!deck || typeof deck !== 'object' || typeof deck.key !== 'string' || !Array.isArray(deck.memos)) return null;
       return deck;
     },
 
-    saveDeck(deck) {
-      const store = this.loadStore();
+    saveDeck(deck, profileId) {
+      const store = this.loadStore(profileId);
       store.decks = store.decks && typeof store.decks === 'object' ? store.decks : {};
       store.decks[deck.key] = deck;
       store.lastKey = deck.key;
@@ -1560,7 +2833,7 @@
         if (!keep.has(k)) delete store.decks[k];
       }
 
-      this.saveStore(store);
+      this.saveStore(store, profileId);
     },
 
     isValid(deck, expectedKey) {
@@ -1568,8 +2841,256 @@
       return deck.key === expectedKey && Array.isArray(deck.memos);
     },
 
-    clear() {
-      storageUtils.removeItem(CONFIG.CACHE_KEY);
+    clear(profileId) {
+      dataStore.remove(profileService.scopedKey(CONFIG.CACHE_KEY, profileId));
+    }
+  };
+
+  // ============================================
+  // Export Service
+  // ============================================
+  const exportService = {
+    getAttachmentLinks(memo) {
+      return (memo.attachments || [])
+        .map((att) => {
+          const url = att.externalLink || `${window.location.origin}/file/${att.name}/${att.filename}`;
+          return { label: att.filename || att.name || url, url };
+        })
+        .filter((link) => !!link.url);
+    },
+
+    getTags(memo) {
+      return Array.isArray(memo.tags) && memo.tags.length > 0 ? memo.tags : utils.extractTags(memo.content || '');
+    },
+
+    // Brackets in the label and spaces or parentheses in the URL would otherwise break the link syntax.
+    renderMarkdownLink(link) {
+      const label = String(link.label).replace(/[\\[\]]/g, '\\$&');
+      const safe = utils.sanitizeUrl(link.url);
+      if (!safe) return `${label} (${link.url})`;
+      return `[${label}](<${safe.replace(/[<>\r\n]/g, (c) => encodeURIComponent(c))}>)`;
+    },
+
+    buildMarkdown(memos, day) {
+      const lines = [`# ${i18n.t('export_title').replace('{date}', day)}`, ''];
+      (memos || []).forEach((memo, i) => {
+        if (!memo) return;
+        const date = utils.formatDate(utils.toTimeMs(memo.createTime, Date.now()));
+        lines.push(`## ${i + 1}. ${date}`, '');
+        const tags = this.getTags(memo);
+        if (tags.length > 0) {
+          lines.push(`${i18n.t('export_tags')}: ${tags.map((tag) => `#${tag}`).join(' ')}`, '');
+        }
+        lines.push((memo.content || '').trim(), '');
+        const links = this.getAttachmentLinks(memo);
+        if (links.length > 0) {
+          lines.push(`${i18n.t('export_attachments')}:`);
+          links.forEach((link) => lines.push(`- ${this.renderMarkdownLink(link)}`));
+          lines.push('');
+        }
+        lines.push('---', '');
+      });
+      return lines.join('\n');
+    },
+
+    renderHtmlLink(link) {
+      const safe = utils.sanitizeUrl(link.url);
+      if (!safe) {
+        return `${utils.escapeHtml(link.label)} (${utils.escapeHtml(link.url)})`;
+      }
+      return `<a href="${utils.escapeHtml(safe)}">${utils.escapeHtml(link.label)}</a>`;
+    },
+
+    buildHtml(memos, day) {
+      const title = utils.escapeHtml(i18n.t('export_title').replace('{date}', day));
+      const sections = (memos || []).filter(Boolean).map((memo) => {
+        const date = utils.formatDate(utils.toTimeMs(memo.createTime, Date.now()));
+        const tags = this.getTags(memo);
+        const links = this.getAttachmentLinks(memo);
+        return `
+  <article>
+    <h2>${utils.escapeHtml(date)}</h2>
+    ${tags.length > 0 ? `<p class="tags">${tags.map((tag) => `#${utils.escapeHtml(tag)}`).join(' ')}</p>` : ''}
+    <div class="content">${utils.markdownToHtml(utils.removeTagsFromContent(memo.content || ''))}</div>
+    ${links.length > 0 ? `<ul class="attachments">${links.map((link) => `<li>${this.renderHtmlLink(link)}</li>`).join('')}</ul>` : ''}
+  </article>`;
+      }).join('\n');
+      return `<!DOCTYPE html>
+<html lang="${i18n.currentLanguage === 'zh-CN' ? 'zh-CN' : 'en'}">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+</head>
+<body>
+  <h1>${title}</h1>
+${sections}
+</body>
+</html>
+`;
+    },
+
+    download(filename, content, mimeType) {
+      const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.style.display = 'none';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+  };
+
+  // ============================================
+  // Backup Service
+  // ============================================
+  /**
+   * Versioned JSON backup of profiles plus each profile's settings and review history.
+   * Deck, pool and batch caches are derived data and are not included.
+   */
+  const backupService = {
+    profileIdPattern: /^[A-Za-z0-9_-]{1,64}$/,
+    memoIdPattern: /^[A-Za-z0-9_.-]+(\/[A-Za-z0-9_.-]+)*$/,
+    dayPattern: /^\d{4}-\d{2}-\d{2}$/,
+
+    readJson(key) {
+      return dataStore.get(key);
+    },
+
+    build() {
+      const state = profileService.getState();
+      const data = {};
+      for (const profile of state.profiles) {
+        const history = this.readJson(profileService.scopedKey(CONFIG.HISTORY_KEY, profile.id));
+        const favorites = this.readJson(profileService.scopedKey(CONFIG.FAVORITES_KEY, profile.id));
+        data[profile.id] = {
+          settings: this.readJson(profileService.scopedKey(CONFIG.STORAGE_KEY, profile.id)),
+          history: { items: history && history.items && typeof history.items === 'object' ? history.items : {} },
+          favorites: { items: favorites && favorites.items && typeof favorites.items === 'object' ? favorites.items : {} }
+        };
+      }
+      return {
+        format: CONFIG.BACKUP_FORMAT,
+        schemaVersion: CONFIG.BACKUP_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        profiles: { activeId: state.activeId, profiles: state.profiles.map((p) => ({ id: p.id, name: p.name || '' })) },
+        data
+      };
+    },
+
+    isValidHistoryEntry(entry) {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return false;
+      const days = [entry.lastShownDay, entry.lastReviewDay, entry.dueDay, entry.snoozedUntil];
+      return days.every((day) => day === undefined || day === null || (typeof day === 'string' && this.dayPattern.test(day)));
+    },
+
+    /**
+     * Validate a parsed backup bundle.
+     * @returns {string} i18n key of the first problem found, or '' when the bundle is valid
+     */
+    validate(bundle) {
+      if (!bundle || typeof bundle !== 'object' || bundle.format !== CONFIG.BACKUP_FORMAT) return 'backup_error_format';
+      if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) return 'backup_error_invalid';
+      if (bundle.schemaVersion > CONFIG.BACKUP_SCHEMA_VERSION) return 'backup_error_version';
+
+      const profiles = bundle.profiles && Array.isArray(bundle.profiles.profiles) ? bundle.profiles.profiles : null;
+      if (!profiles) return 'backup_error_invalid';
+      const ids = new Set();
+      for (const profile of profiles) {
+        if (!profile || typeof profile.id !== 'string' || !this.profileIdPattern.test(profile.id)) return 'backup_error_invalid';
+        if (typeof profile.name !== 'string' || ids.has(profile.id)) return 'backup_error_invalid';
+        ids.add(profile.id);
+      }
+
+      if (!bundle.data || typeof bundle.data !== 'object') return 'backup_error_invalid';
+      for (const [profileId, entry] of Object.entries(bundle.data)) {
+        if (!ids.has(profileId) || !entry || typeof entry !== 'object') return 'backup_error_invalid';
+        if (entry.settings !== null && entry.settings !== undefined && typeof entry.settings !== 'object') return 'backup_error_invalid';
+        const items = entry.history && entry.history.items;
+        if (!items || typeof items !== 'object' || Array.isArray(items)) return 'backup_error_invalid';
+        for (const [memoId, item] of Object.entries(items)) {
+          if (!this.memoIdPattern.test(memoId) || !this.isValidHistoryEntry(item)) return 'backup_error_invalid';
+        }
+        // Favourites were added later; older backups simply don't have them.
+        if (entry.favorites !== undefined) {
+          const favorites = entry.favorites && entry.favorites.items;
+          if (!favorites || typeof favorites !== 'object' || Array.isArray(favorites)) return 'backup_error_invalid';
+          if (Object.keys(favorites).some((memoId) => !this.memoIdPattern.test(memoId))) return 'backup_error_invalid';
+        }
+      }
+      return '';
+    },
+
+    /**
+     * Apply a validated bundle.
+     * `merge` adds missing profiles, merges history (last write wins per memo) and favourites, and only fills in
+     * missing settings; `replace` makes local profiles, settings, history and favourites match the bundle
+     * (a profile without a data block, or with null settings, starts from defaults).
+     * @returns {{profiles: number, items: number}}
+     */
+    apply(bundle, mode = 'merge') {
+      const replace = mode === 'replace';
+      const localState = profileService.getState();
+      const incomingProfiles = bundle.profiles.profiles.map((p) => ({ id: p.id, name: p.name }));
+
+      let profiles;
+      if (replace) {
+        for (const profile of localState.profiles) {
+          if (!incomingProfiles.some((p) => p.id === profile.id)) profileService.remove(profile.id);
+        }
+        profiles = incomingProfiles;
+      } else {
+        profiles = [...profileService.getState().profiles];
+        for (const profile of incomingProfiles) {
+          if (!profiles.some((p) => p.id === profile.id)) profiles.push(profile);
+        }
+      }
+      if (!profiles.some((p) => p.id === CONFIG.DEFAULT_PROFILE_ID)) {
+        profiles.unshift(profileService.getDefaultState().profiles[0]);
+      }
+      const preferredActive = replace ? bundle.profiles.activeId : localState.activeId;
+      const activeId = profiles.some((p) => p.id === preferredActive) ? preferredActive : CONFIG.DEFAULT_PROFILE_ID;
+      profileService.save({ activeId, profiles });
+      if (replace) {
+        for (const profile of profiles) {
+          for (const baseKey of [CONFIG.STORAGE_KEY, CONFIG.HISTORY_KEY, CONFIG.FAVORITES_KEY, CONFIG.CACHE_KEY]) {
+            dataStore.remove(profileService.scopedKey(baseKey, profile.id));
+          }
+        }
+      }
+
+      let items = 0;
+      for (const [profileId, entry] of Object.entries(bundle.data)) {
+        const historyKey = profileService.scopedKey(CONFIG.HISTORY_KEY, profileId);
+        const local = this.readJson(historyKey);
+        const localItems = !replace && local && local.items && typeof local.items === 'object' ? local.items : {};
+        const history = historyService.prune({
+          schemaVersion: CONFIG.DECK_SCHEMA_VERSION,
+          items: historyService.mergeItems(localItems, entry.history.items)
+        });
+        dataStore.set(historyKey, history);
+        items += Object.keys(entry.history.items).length;
+
+        const favoritesKey = profileService.scopedKey(CONFIG.FAVORITES_KEY, profileId);
+        if (entry.favorites || replace) {
+          const localFavorites = !replace ? this.readJson(favoritesKey) : null;
+          const favoriteItems = {
+            ...(localFavorites && localFavorites.items && typeof localFavorites.items === 'object' ? localFavorites.items : {}),
+            ...(entry.favorites ? entry.favorites.items : {})
+          };
+          storageUtils.setItem(favoritesKey, JSON.stringify({ items: favoriteItems }));
+        }
+
+        const settingsKey = profileService.scopedKey(CONFIG.STORAGE_KEY, profileId);
+        if (entry.settings && (replace || !localStorage.getItem(settingsKey))) {
+          storageUtils.setItem(settingsKey, JSON.stringify(entry.settings));
+        }
+        // Cached decks were built from the old settings/history.
+        dataStore.remove(profileService.scopedKey(CONFIG.CACHE_KEY, profileId));
+      }
+      return { profiles: Object.keys(bundle.data).length, items };
     }
   };
 
@@ -1589,7 +3110,12 @@
         refreshUnsupportedAt: 0,
         updateMaskStyle: '',
         supportsListFilter: null,
-        supportsListOrderBy: null
+        supportsListOrderBy: null,
+        supportsHistorySync: null,
+        supportsUpdatedFilter: null,
+        relationStyle: '',
+        supportsMemoRelations: null,
+        supportsMemoComments: null
       };
     },
 
@@ -1705,6 +3231,51 @@
 
     markListOrderBySupport(supported) {
       this.remember({ supportsListOrderBy: !!supported });
+    },
+
+    canRefreshPoolIncrementally() {
+      const state = this.getState();
+      return state.supportsListFilter !== false && state.supportsUpdatedFilter !== false;
+    },
+
+    markUpdatedFilterSupport(supported) {
+      this.remember({ supportsUpdatedFilter: !!supported });
+    },
+
+    canSyncHistory() {
+      return this.getState().supportsHistorySync !== false;
+    },
+
+    markHistorySyncSupport(supported) {
+      this.remember({ supportsHistorySync: !!supported });
+    },
+
+    // Relation payloads reference memos as objects ({ name }) on newer servers and as plain names on older ones.
+    getRelationStyles() {
+      const preferred = this.getState().relationStyle;
+      if (preferred === 'name') return ['name', 'object'];
+      return ['object', 'name'];
+    },
+
+    markRelationStyle(style) {
+      if (style !== 'object' && style !== 'name') return;
+      this.remember({ relationStyle: style, supportsMemoRelations: true });
+    },
+
+    canSetMemoRelations() {
+      return this.getState().supportsMemoRelations !== false;
+    },
+
+    markMemoRelationsSupport(supported) {
+      this.remember({ supportsMemoRelations: !!supported });
+    },
+
+    canUseMemoComments() {
+      return this.getState().supportsMemoComments !== false;
+    },
+
+    markMemoCommentsSupport(supported) {
+      this.remember({ supportsMemoComments: !!supported });
     }
   };
 
@@ -1712,21 +3283,44 @@
   // API Service
   // ============================================
   const apiService = {
+    buildTimeRangeFilter(timeRange) {
+      const { startMs, endMs } = utils.getTimeRangeBounds(timeRange);
+      const parts = [];
+      if (startMs !== null) parts.push(`created_ts >= ${Math.floor(startMs / 1000)}`);
+      if (endMs !== null) parts.push(`created_ts < ${Math.floor(endMs / 1000)}`);
+      return parts.join(' && ');
+    },
+
+    // Build a CEL filter matching any of the given [startMs, endMs) creation windows.
+    buildCreatedRangesFilter(ranges) {
+      return (ranges || [])
+        .map(({ startMs, endMs }) => `(created_ts >= ${Math.floor(startMs / 1000)} && created_ts < ${Math.floor(endMs / 1000)})`)
+        .join(' || ');
+    },
+
+    // CEL `content.contains` filter; quotes and backslashes are escaped for the string literal.
+    buildContentSearchFilter(query) {
+      const escaped = String(query || '').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+      return `content.contains("${escaped}")`;
+    },
+
     async fetchMemos(timeRange, pageToken) {
+      return await this.listMemos(this.buildTimeRangeFilter(timeRange), pageToken);
+    },
+
+    /**
+     * List memos with an optional CEL filter.
+     * The filter is dropped (and the capability remembered) when the server rejects it,
+     * so callers must still apply the same condition client-side.
+     * Options: `state` (default 'NORMAL'); `pageSize` (default CONFIG.API_PAGE_SIZE);
+     * `strictFilter` throws on a rejected filter instead of dropping it.
+     */
+    async listMemos(filter, pageToken, options = {}) {
       // Check network connectivity first
       if (!networkUtils.isOnline()) {
         throw new Error('OFFLINE: No network connection');
       }
 
-      const timeRangeConfig = CONFIG.TIME_RANGES.find(t => t.value === timeRange);
-      let filter = '';
-
-      if (timeRangeConfig && timeRangeConfig.days !== null) {
-        const now = Math.floor(Date.now() / 1000);
-        const startTime = now - (timeRangeConfig.days * 24 * 60 * 60);
-        filter = `created_ts >= ${startTime}`;
-      }
-
       // Wrap in retry logic
       return await retryUtils.withRetry(async () => {
         let allowFilter = !!filter && capabilityService.canUseListFilter();
@@ -1734,8 +3328,8 @@
 
         for (let step = 0; step < 3; step++) {
           const params = new URLSearchParams({
-            pageSize: String(CONFIG.API_PAGE_SIZE),
-            state: 'NORMAL'
+            pageSize: String(options.pageSize || CONFIG.API_PAGE_SIZE),
+            state: options.state || 'NORMAL'
           });
           if (pageToken) params.append('pageToken', pageToken);
           if (allowOrderBy) params.append('orderBy', CONFIG.API_MEMO_ORDER_BY);
@@ -1770,6 +3364,9 @@
           }
 
           if (response.status === 400) {
+            if (allowFilter && options.strictFilter) {
+              throw new Error('API error: 400 (filter rejected)');
+            }
             if (allowFilter) {
               allowFilter = false;
               capabilityService.markListFilterSupport(false);
@@ -1789,69 +3386,409 @@
       }, { maxAttempts: 3, initialDelay: 1000 });
     },
 
-    async updateMemoContent(memoName, content) {
+    async getMemo(memoName) {
       if (!memoName) throw new Error('missing memo name');
-      const urlBase = `/api/v1/${memoName}`;
-      const body = JSON.stringify({ name: memoName, content });
-      let refreshed = false;
-      const styleToUrl = {
-        camel: `${urlBase}?updateMask.paths=content&updateMask.paths=update_time`,
-        snake: `${urlBase}?update_mask.paths=content&update_mask.paths=update_time`
+      const doFetch = async () => {
+        const headers = { 'Accept': 'application/json', ...authService.getAuthHeaders() };
+        return utils.fetchWithTimeout(`/api/v1/${memoName}`, { method: 'GET', headers, credentials: 'include' }, 8000);
       };
-      const candidates = capabilityService.getUpdateMaskStyles().map((style) => ({ style, url: styleToUrl[style] }));
 
-      let lastError = null;
-      for (const candidate of candidates) {
-        const { style, url } = candidate;
-        try {
-          let headers = { 'Content-Type': 'application/json', 'Accept': 'application/json', ...authService.getAuthHeaders() };
-          let response = await utils.fetchWithTimeout(url, { method: 'PATCH', headers, body, credentials: 'include' }, 8000);
-          if (response.status === 401 && !refreshed) {
-            refreshed = true;
-            await authService.ensureAccessToken();
-            headers = { 'Content-Type': 'application/json', 'Accept': 'application/json', ...authService.getAuthHeaders() };
-            response = await utils.fetchWithTimeout(url, { method: 'PATCH', headers, body, credentials: 'include' }, 8000);
-          }
-          if (response.ok) {
-            capabilityService.markUpdateMaskStyle(style);
-            let data;
-            try {
-              data = await response.json();
-            } catch (jsonError) {
-              console.error('Failed to parse JSON response:', jsonError);
-              throw new Error('Invalid API response format');
-            }
-            return data;
-          }
-          const text = await response.text();
-          lastError = new Error(`API error: ${response.status} ${text}`);
-        } catch (e) {
-          lastError = e;
-        }
+      let response = await doFetch();
+      if (response.status === 401) {
+        await authService.ensureAccessToken();
+        response = await doFetch();
       }
-      throw lastError || new Error('Failed to update memo');
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+      return await response.json();
     },
 
-    async deleteMemo(memoName) {
-      if (!memoName) throw new Error('missing memo name');
-      const url = `/api/v1/${memoName}`;
-      let refreshed = false;
+    async createMemo(content, visibility = 'PRIVATE') {
+      const body = JSON.stringify({ content, visibility });
+      const doFetch = async () => {
+        const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json', ...authService.getAuthHeaders() };
+        return utils.fetchWithTimeout('/api/v1/memos', { method: 'POST', headers, body, credentials: 'include' }, 8000);
+      };
+
+      let response = await doFetch();
+      if (response.status === 401) {
+        await authService.ensureAccessToken();
+        response = await doFetch();
+      }
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`API error: ${response.status} ${text}`);
+      }
+      let data;
+      try {
+        data = await response.json();
+      } catch (jsonError) {
+        console.error('Failed to parse JSON response:', jsonError);
+        throw new Error('Invalid API response format');
+      }
+      return data;
+    },
 
+    /**
+     * List the comments of a memo (oldest first), normalized.
+     * Resolves null (and remembers it) when the server has no comments endpoint.
+     */
+    async listMemoComments(memoName) {
+      if (!memoName) throw new Error('missing memo name');
+      if (!capabilityService.canUseMemoComments()) return null;
       const doFetch = async () => {
         const headers = { 'Accept': 'application/json', ...authService.getAuthHeaders() };
-        return utils.fetchWithTimeout(url, { method: 'DELETE', headers, credentials: 'include' }, 8000);
+        return utils.fetchWithTimeout(`/api/v1/${memoName}/comments`, { method: 'GET', headers, credentials: 'include' }, 8000);
       };
 
       let response = await doFetch();
-      if (response.status === 401 && !refreshed) {
-        refreshed = true;
+      if (response.status === 401) {
         await authService.ensureAccessToken();
         response = await doFetch();
       }
+      if (response.status === 404 || response.status === 405 || response.status === 501) {
+        capabilityService.markMemoCommentsSupport(false);
+        return null;
+      }
       if (!response.ok) {
         const text = await response.text().catch(() => '');
         throw new Error(`API error: ${response.status} ${text}`);
       }
+      const data = await response.json();
+      capabilityService.markMemoCommentsSupport(true);
+      return (Array.isArray(data?.memos) ? data.memos : [])
+        .map((memo) => utils.normalizeMemo(memo))
+        .filter((memo) => memo.id)
+        .sort((a, b) => utils.toTimeMs(a.createTime, 0) - utils.toTimeMs(b.createTime, 0));
+    },
+
+    async createMemoComment(memoName, content, visibility = 'PRIVATE') {
+      if (!memoName) throw new Error('missing memo name');
+      const body = JSON.stringify({ content, visibility });
+      const doFetch = async () => {
+        const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json', ...authService.getAuthHeaders() };
+        return utils.fetchWithTimeout(`/api/v1/${memoName}/comments`, { method: 'POST', headers, body, credentials: 'include' }, 8000);
+      };
+
+      let response = await doFetch();
+      if (response.status === 401) {
+        await authService.ensureAccessToken();
+        response = await doFetch();
+      }
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`API error: ${response.status} ${text}`);
+      }
+      return utils.normalizeMemo(await response.json());
+    },
+
+    /**
+     * Replace the relations of a memo with references to `relatedNames`.
+     * Resolves false (and remembers it) when the server has no relations endpoint.
+     */
+    async setMemoRelations(memoName, relatedNames, type = 'REFERENCE') {
+      if (!memoName) throw new Error('missing memo name');
+      if (!capabilityService.canSetMemoRelations()) return false;
+      const url = `/api/v1/${memoName}/relations`;
+      const toRelation = {
+        object: (related) => ({ memo: { name: memoName }, relatedMemo: { name: related }, type }),
+        name: (related) => ({ memo: memoName, relatedMemo: related, type })
+      };
+      let refreshed = false;
+
+      let lastError = null;
+      for (const style of capabilityService.getRelationStyles()) {
+        const body = JSON.stringify({ name: memoName, relations: relatedNames.map(toRelation[style]) });
+        try {
+          let headers = { 'Content-Type': 'application/json', 'Accept': 'application/json', ...authService.getAuthHeaders() };
+          let response = await utils.fetchWithTimeout(url, { method: 'PATCH', headers, body, credentials: 'include' }, 8000);
+          if (response.status === 401 && !refreshed) {
+            refreshed = true;
+            await authService.ensureAccessToken();
+            headers = { 'Content-Type': 'application/json', 'Accept': 'application/json', ...authService.getAuthHeaders() };
+            response = await utils.fetchWithTimeout(url, { method: 'PATCH', headers, body, credentials: 'include' }, 8000);
+          }
+          if (response.ok) {
+            capabilityService.markRelationStyle(style);
+            return true;
+          }
+          if (response.status === 404 || response.status === 405 || response.status === 501) {
+            capabilityService.markMemoRelationsSupport(false);
+            return false;
+          }
+          const text = await response.text();
+          lastError = new Error(`API error: ${response.status} ${text}`);
+        } catch (e) {
+          lastError = e;
+        }
+      }
+      throw lastError || new Error('Failed to set memo relations');
+    },
+
+    async updateMemoContent(memoName, content) {
+      return await this.updateMemo(memoName, { content }, ['content', 'update_time']);
+    },
+
+    async updateMemoVisibility(memoName, visibility) {
+      return await this.updateMemo(memoName, { visibility }, ['visibility']);
+    },
+
+    // 'ARCHIVED' takes a memo out of normal lists without deleting it; 'NORMAL' restores it.
+    async updateMemoState(memoName, state) {
+      return await this.updateMemo(memoName, { state }, ['state']);
+    },
+
+    // PATCH the given memo fields, trying the camelCase and snake_case update mask parameter (preferred one first).
+    async updateMemo(memoName, fields, paths) {
+      if (!memoName) throw new Error('missing memo name');
+      const urlBase = `/api/v1/${memoName}`;
+      const body = JSON.stringify({ name: memoName, ...fields });
+      let refreshed = false;
+      const maskQuery = (param) => paths.map((path) => `${param}.paths=${path}`).join('&');
+      const styleToUrl = {
+        camel: `${urlBase}?${maskQuery('updateMask')}`,
+        snake: `${urlBase}?${maskQuery('update_mask')}`
+      };
+      const candidates = capabilityService.getUpdateMaskStyles().map((style) => ({ style, url: styleToUrl[style] }));
+
+      let lastError = null;
+      for (const candidate of candidates) {
+        const { style, url } = candidate;
+        try {
+          let headers = { 'Content-Type': 'application/json', 'Accept': 'application/json', ...authService.getAuthHeaders() };
+          let response = await utils.fetchWithTimeout(url, { method: 'PATCH', headers, body, credentials: 'include' }, 8000);
+          if (response.status === 401 && !refreshed) {
+            refreshed = true;
+            await authService.ensureAccessToken();
+            headers = { 'Content-Type': 'application/json', 'Accept': 'application/json', ...authService.getAuthHeaders() };
+            response = await utils.fetchWithTimeout(url, { method: 'PATCH', headers, body, credentials: 'include' }, 8000);
+          }
+          if (response.ok) {
+            capabilityService.markUpdateMaskStyle(style);
+            let data;
+            try {
+              data = await response.json();
+            } catch (jsonError) {
+              console.error('Failed to parse JSON response:', jsonError);
+              throw new Error('Invalid API response format');
+            }
+            return data;
+          }
+          const text = await response.text();
+          lastError = new Error(`API error: ${response.status} ${text}`);
+        } catch (e) {
+          lastError = e;
+        }
+      }
+      throw lastError || new Error('Failed to update memo');
+    },
+
+    async deleteMemo(memoName) {
+      if (!memoName) throw new Error('missing memo name');
+      const url = `/api/v1/${memoName}`;
+      let refreshed = false;
+
+      // keepalive lets a delete sent while the page unloads (end of the undo window) still go out.
+      const doFetch = async () => {
+        const headers = { 'Accept': 'application/json', ...authService.getAuthHeaders() };
+        return utils.fetchWithTimeout(url, { method: 'DELETE', headers, credentials: 'include', keepalive: true }, 8000);
+      };
+
+      let response = await doFetch();
+      if (response.status === 401 && !refreshed) {
+        refreshed = true;
+        await authService.ensureAccessToken();
+        response = await doFetch();
+      }
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`API error: ${response.status} ${text}`);
+      }
+    }
+  };
+
+  // ============================================
+  // History Sync Service
+  // ============================================
+  /**
+   * Optional per-profile history sync through a private memo tagged #daily-review-sync.
+   * Each sync pulls the remote copy, merges it into local history (last write wins per memo)
+   * and writes the merged result back. Any failure leaves local history untouched; endpoints
+   * the server doesn't offer are remembered via capabilityService so later syncs are skipped.
+   */
+  const syncService = {
+    timer: null,
+    inFlight: null,
+
+    isEnabled() {
+      return settingsService.load().syncHistory && capabilityService.canSyncHistory();
+    },
+
+    loadState(profileId) {
+      try {
+        const saved = localStorage.getItem(profileService.scopedKey(CONFIG.SYNC_KEY, profileId));
+        const parsed = saved ? JSON.parse(saved) : null;
+        if (parsed && typeof parsed === 'object') return { memoName: parsed.memoName || '', lastSyncAt: parsed.lastSyncAt || 0 };
+      } catch (e) {
+        console.error('Failed to load sync state:', e);
+      }
+      return { memoName: '', lastSyncAt: 0 };
+    },
+
+    saveState(profileId, state) {
+      storageUtils.setItem(profileService.scopedKey(CONFIG.SYNC_KEY, profileId), JSON.stringify(state));
+    },
+
+    buildContent(profileId, items) {
+      const payload = JSON.stringify({ format: CONFIG.SYNC_FORMAT, profileId, items });
+      return `#${CONFIG.SYNC_TAG}\n\n\`\`\`json\n${payload}\n\`\`\``;
+    },
+
+    parseContent(content) {
+      const match = /```json\n([\s\S]*?)\n```/.exec(content || '');
+      if (!match) return null;
+      try {
+        const parsed = JSON.parse(match[1]);
+        if (!parsed || parsed.format !== CONFIG.SYNC_FORMAT || !parsed.items || typeof parsed.items !== 'object') return null;
+        return parsed;
+      } catch (e) {
+        return null;
+      }
+    },
+
+    // Most recently touched entries first; same-day undo data stays on the device.
+    selectItems(items, limit) {
+      const recency = (entry) => entry.updatedAt || utils.toTimeMs(historyService.getLastActiveDay(entry), 0);
+      // Snoozes and exclusions must reach other devices even when they are not recent.
+      const hidden = (entry) => Number(entry.excluded === true || typeof entry.snoozedUntil === 'string');
+      return Object.entries(items)
+        .filter(([, entry]) => entry && typeof entry === 'object')
+        .sort((a, b) => (hidden(b[1]) - hidden(a[1])) || (recency(b[1]) - recency(a[1])))
+        .slice(0, limit)
+        .reduce((acc, [memoId, entry]) => {
+          const { previousSchedule, ...rest } = entry;
+          acc[memoId] = rest;
+          return acc;
+        }, {});
+    },
+
+    isUnsupportedError(error) {
+      return /API error: (404|405|501)\b/.test(error?.message || '');
+    },
+
+    async findRemote(profileId, state) {
+      if (state.memoName) {
+        try {
+          const memo = await apiService.getMemo(state.memoName);
+          const parsed = this.parseContent(memo.content);
+          if (parsed && parsed.profileId === profileId) return { name: memo.name, parsed };
+        } catch (e) {
+          if (!/API error: 404\b/.test(e?.message || '')) throw e;
+        }
+      }
+
+      // Client-side check also covers servers that ignore the tag filter.
+      const filter = `tag in ["${CONFIG.SYNC_TAG}"]`;
+      let pageToken = '';
+      let page = 0;
+      do {
+        let result;
+        try {
+          // Strict, so a rejected tag filter doesn't switch off list filters used by pool fetches.
+          result = await apiService.listMemos(filter, pageToken, { strictFilter: true });
+        } catch (e) {
+          if (/API error: 400\b/.test(e?.message || '')) capabilityService.markHistorySyncSupport(false);
+          throw e;
+        }
+        for (const memo of result.memos || []) {
+          const parsed = this.parseContent(memo.content);
+          if (parsed && parsed.profileId === profileId) return { name: memo.name, parsed };
+        }
+        pageToken = result.nextPageToken;
+        page += 1;
+      } while (pageToken && page < CONFIG.POOL_MAX_PAGES_ALL);
+      return null;
+    },
+
+    // Write the newest entries, halving the payload while the server rejects it as too large.
+    async push(remoteName, profileId, items) {
+      let limit = CONFIG.SYNC_MAX_ITEMS;
+      for (;;) {
+        const content = this.buildContent(profileId, this.selectItems(items, limit));
+        try {
+          if (remoteName) {
+            await apiService.updateMemoContent(remoteName, content);
+            return remoteName;
+          }
+          const created = await apiService.createMemo(content, 'PRIVATE');
+          return created.name;
+        } catch (e) {
+          const tooLarge = /API error: (400|413)\b/.test(e?.message || '');
+          if (!tooLarge || limit <= CONFIG.SYNC_MIN_ITEMS) throw e;
+          limit = Math.max(CONFIG.SYNC_MIN_ITEMS, Math.floor(limit / 2));
+        }
+      }
+    },
+
+    async syncNow() {
+      const profileId = profileService.getActiveId();
+      const historyKey = profileService.scopedKey(CONFIG.HISTORY_KEY, profileId);
+      const state = this.loadState(profileId);
+
+      const remote = await this.findRemote(profileId, state);
+      const local = historyService.load();
+      const merged = historyService.prune({
+        schemaVersion: CONFIG.DECK_SCHEMA_VERSION,
+        items: historyService.mergeItems(local.items, remote ? remote.parsed.items : {})
+      });
+      // Profile may have been switched while the request was in flight.
+      if (profileService.getActiveId() !== profileId) return false;
+      dataStore.set(historyKey, merged);
+
+      const memoName = await this.push(remote ? remote.name : '', profileId, merged.items);
+      capabilityService.markHistorySyncSupport(true);
+      this.saveState(profileId, { memoName, lastSyncAt: Date.now() });
+      return true;
+    },
+
+    // Run a sync now (deduplicated); resolves false when disabled or on failure.
+    async sync() {
+      if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+      }
+      if (!this.isEnabled()) return false;
+      if (this.inFlight) return await this.inFlight;
+      this.inFlight = (async () => {
+        try {
+          return await this.syncNow();
+        } catch (e) {
+          if (this.isUnsupportedError(e)) {
+            capabilityService.markHistorySyncSupport(false);
+          }
+          console.warn('[DailyReview] History sync failed, keeping local history:', e);
+          return false;
+        } finally {
+          this.inFlight = null;
+        }
+      })();
+      return await this.inFlight;
+    },
+
+    scheduleSync() {
+      if (!this.isEnabled()) return;
+      if (this.timer) clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.sync().catch(() => {});
+      }, CONFIG.SYNC_DEBOUNCE_MS);
+    },
+
+    // Push pending changes right away (e.g. when the dialog closes).
+    flush() {
+      if (!this.timer) return;
+      this.sync().catch(() => {});
     }
   };
 
@@ -2182,6 +4119,7 @@
     panelReviewId: 'daily-review-panel-review',
     panelSettingsId: 'daily-review-panel-settings',
     stateId: 'daily-review-state',
+    peekId: 'daily-review-peek',
     deckId: 'daily-review-deck',
     cardId: 'daily-review-card',
     prevId: 'daily-review-prev',
@@ -2189,13 +4127,31 @@
     counterId: 'daily-review-counter',
     refreshId: 'daily-review-refresh',
     editId: 'daily-review-edit',
+    reflectId: 'daily-review-reflect',
     deleteId: 'daily-review-delete',
+    archiveId: 'daily-review-archive',
+    toastId: 'daily-review-toast',
+    favoriteId: 'daily-review-favorite',
+    exportId: 'daily-review-export',
+    exportMenuId: 'daily-review-export-menu',
+    snoozeId: 'daily-review-snooze',
+    snoozeMenuId: 'daily-review-snooze-menu',
+    snoozeDateId: 'daily-review-snooze-date',
+    hiddenListId: 'daily-review-hidden-list',
+    gradesId: 'daily-review-grades',
+    searchFormId: 'daily-review-search',
+    searchInputId: 'daily-review-search-input',
+    searchClearId: 'daily-review-search-clear',
+    tagFiltersId: 'daily-review-tag-filters',
+    bucketEditorId: 'daily-review-bucket-editor',
+    profileSelectId: 'daily-review-profile',
     editOverlayId: 'daily-review-edit-overlay',
     editDialogId: 'daily-review-edit-dialog',
     editTextareaId: 'daily-review-edit-textarea',
     editSaveId: 'daily-review-edit-save',
     editCancelId: 'daily-review-edit-cancel',
     editStatusId: 'daily-review-edit-status',
+    editTagId: 'daily-review-edit-tag',
     imageOverlayId: 'daily-review-image-overlay',
     imageDialogId: 'daily-review-image-dialog',
     imageCloseId: 'daily-review-image-close',
@@ -2207,6 +4163,8 @@
     activeImageKey: null,
     activeImageIndex: 0,
     isButtonVisible: false,
+    toastTimer: null,
+    toastAction: null,
 
     injectStyles() {
       if (document.getElementById(this.styleId)) return;
@@ -2293,6 +4251,13 @@
           color: var(--foreground);
           margin: 0;
         }
+        .daily-review-profile-select {
+          margin-left: auto;
+          margin-right: 8px;
+          max-width: 180px;
+          font-size: 13px;
+          padding: 4px 8px;
+        }
         .daily-review-close {
           background: none;
           border: none;
@@ -2362,6 +4327,99 @@
           display: none;
         }
 
+        .daily-review-export,
+        .daily-review-snooze {
+          position: relative;
+        }
+        .daily-review-export-menu,
+        .daily-review-snooze-menu {
+          position: absolute;
+          bottom: calc(100% + 6px);
+          left: 0;
+          z-index: 2;
+          display: flex;
+          flex-direction: column;
+          min-width: 150px;
+          padding: 4px;
+          border: 1px solid var(--border);
+          border-radius: 8px;
+          background-color: var(--background);
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.12);
+        }
+        .daily-review-export-menu.hidden,
+        .daily-review-snooze-menu.hidden {
+          display: none;
+        }
+        .daily-review-snooze-date {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 6px;
+        }
+        .daily-review-hidden-list {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          max-height: 180px;
+          overflow-y: auto;
+        }
+        .daily-review-hidden-item {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 12px;
+        }
+        .daily-review-hidden-snippet {
+          flex: 1;
+          min-width: 0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          color: var(--foreground);
+        }
+        .daily-review-hidden-status {
+          color: var(--muted-foreground);
+          white-space: nowrap;
+        }
+        .daily-review-export-item {
+          padding: 6px 10px;
+          border: none;
+          border-radius: 6px;
+          background: none;
+          color: var(--foreground);
+          font-size: 13px;
+          text-align: left;
+          cursor: pointer;
+        }
+        .daily-review-export-item:hover,
+        .daily-review-export-item:focus-visible {
+          background-color: var(--muted);
+        }
+
+        .daily-review-search {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-bottom: 12px;
+        }
+        .daily-review-search-input {
+          flex: 1;
+          min-width: 0;
+          padding: 6px 10px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background-color: var(--background);
+          color: var(--foreground);
+          font-size: 14px;
+        }
+        .daily-review-search-input:focus {
+          outline: 2px solid var(--ring);
+          outline-offset: 1px;
+        }
+        .daily-review-search .hidden {
+          display: none;
+        }
+
         .daily-review-state {
           flex: 1;
           display: none;
@@ -2444,26 +4502,66 @@
           backface-visibility: hidden;
         }
 
-        .daily-review-deck-footer {
+        .daily-review-grades {
           display: flex;
-          align-items: center;
-          justify-content: space-between;
-          gap: 12px;
+          justify-content: center;
+          gap: 8px;
           flex-shrink: 0;
         }
-        .daily-review-actions {
-          display: flex;
-          align-items: center;
-          gap: 10px;
-        }
-        .daily-review-pager {
-          display: flex;
-          align-items: center;
-          gap: 10px;
+        .daily-review-grades.hidden {
+          display: none;
         }
-        .daily-review-counter {
-          font-size: 13px;
-          color: var(--muted-foreground);
+        .daily-review-grade-btn {
+          flex: 1;
+          max-width: 120px;
+          padding: 6px 10px;
+          border-radius: 8px;
+          border: 1.5px solid var(--border);
+          background-color: var(--background);
+          color: var(--foreground);
+          font-size: 13px;
+          cursor: pointer;
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          gap: 6px;
+          transition: background-color 0.2s, border-color 0.2s;
+        }
+        .daily-review-grade-btn:hover {
+          background-color: var(--accent);
+        }
+        .daily-review-grade-btn[aria-pressed="true"] {
+          border-color: var(--primary);
+          font-weight: 600;
+        }
+        .daily-review-grade-btn.grade-again[aria-pressed="true"] {
+          border-color: var(--destructive, rgb(239, 68, 68));
+        }
+        .daily-review-grade-key {
+          font-size: 11px;
+          color: var(--muted-foreground);
+        }
+
+        .daily-review-deck-footer {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 12px;
+          flex-shrink: 0;
+        }
+        .daily-review-actions {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+        }
+        .daily-review-pager {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+        }
+        .daily-review-counter {
+          font-size: 13px;
+          color: var(--muted-foreground);
           min-width: 64px;
           text-align: center;
           transition: transform 0.05s, opacity 0.05s;
@@ -2510,6 +4608,10 @@
           opacity: 0.5;
           cursor: not-allowed;
         }
+        .daily-review-icon-btn[aria-pressed="true"] svg {
+          fill: currentColor;
+          color: var(--primary);
+        }
         .daily-review-icon-btn.delete-btn {
           border-color: rgba(239, 68, 68, 0.3);
           color: var(--destructive, rgb(239, 68, 68));
@@ -2625,6 +4727,17 @@
           justify-content: flex-end;
           gap: 10px;
         }
+        .daily-review-edit-tag {
+          margin-right: auto;
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 12px;
+          color: var(--muted-foreground);
+        }
+        .daily-review-edit-tag.hidden {
+          display: none;
+        }
 
         .daily-review-settings {
           padding: 16px 20px;
@@ -2640,6 +4753,87 @@
           font-size: 13px;
           line-height: 1.5;
         }
+        #${this.panelSettingsId} {
+          overflow-y: auto;
+        }
+        .daily-review-tag-filters {
+          padding: 0 20px 16px;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+        .daily-review-tag-filters-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 8px;
+        }
+        .daily-review-tag-filters-hint,
+        .daily-review-tag-filters-empty {
+          font-size: 12px;
+          color: var(--muted-foreground);
+        }
+        .daily-review-tag-chips {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          max-height: 180px;
+          overflow-y: auto;
+        }
+        .daily-review-tag-chip {
+          padding: 2px 8px;
+          border-radius: 4px;
+          border: 1px solid var(--border);
+          background-color: var(--background);
+          color: var(--foreground);
+          font-size: 12px;
+          cursor: pointer;
+        }
+        .daily-review-tag-chip.include {
+          background-color: var(--primary);
+          border-color: var(--primary);
+          color: var(--primary-foreground);
+        }
+        .daily-review-tag-chip.exclude {
+          border-color: var(--destructive, rgb(239, 68, 68));
+          color: var(--destructive, rgb(239, 68, 68));
+          text-decoration: line-through;
+        }
+        .daily-review-buckets {
+          padding: 0 20px 16px;
+        }
+        .daily-review-buckets summary {
+          cursor: pointer;
+        }
+        .daily-review-bucket-rows {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin: 8px 0;
+        }
+        .daily-review-bucket-row {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 13px;
+        }
+        .daily-review-bucket-row input[type="number"] {
+          width: 72px;
+          cursor: text;
+        }
+        .daily-review-bucket-share {
+          min-width: 36px;
+          font-size: 12px;
+          color: var(--muted-foreground);
+        }
+        .daily-review-link-btn {
+          background: none;
+          border: none;
+          padding: 0;
+          font-size: 12px;
+          color: var(--primary);
+          cursor: pointer;
+        }
         .daily-review-setting-group {
           display: flex;
           align-items: center;
@@ -2678,6 +4872,173 @@
           color: var(--muted-foreground);
           margin-bottom: 10px;
         }
+        .daily-review-memo-badge {
+          display: inline-block;
+          margin-right: 8px;
+          padding: 1px 6px;
+          border-radius: 4px;
+          background-color: var(--accent);
+          color: var(--foreground);
+          font-weight: 500;
+        }
+        .daily-review-spark {
+          margin-top: 12px;
+          padding-top: 10px;
+          border-top: 1px dashed var(--border);
+          font-size: 12px;
+        }
+        .daily-review-spark-title {
+          color: var(--muted-foreground);
+          margin-bottom: 6px;
+        }
+        .daily-review-spark-sides {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 8px;
+          margin-bottom: 6px;
+        }
+        .daily-review-spark-side {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          min-width: 0;
+          padding: 8px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background: none;
+          color: var(--foreground);
+          font: inherit;
+          text-align: left;
+        }
+        button.daily-review-spark-side {
+          cursor: pointer;
+        }
+        button.daily-review-spark-side:hover {
+          background-color: var(--accent);
+        }
+        .daily-review-spark-side.is-current {
+          border-color: var(--ring);
+        }
+        .daily-review-relations {
+          margin-top: 10px;
+          font-size: 12px;
+        }
+        .daily-review-relations summary {
+          cursor: pointer;
+          color: var(--muted-foreground);
+        }
+        .daily-review-relation-list {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          margin-top: 6px;
+        }
+        .daily-review-relation {
+          padding: 6px 8px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background: none;
+          color: var(--foreground);
+          font: inherit;
+          text-align: left;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          cursor: pointer;
+        }
+        .daily-review-relation:hover {
+          background-color: var(--accent);
+        }
+        .daily-review-comments {
+          margin-top: 10px;
+          font-size: 12px;
+        }
+        .daily-review-comments summary {
+          cursor: pointer;
+          color: var(--muted-foreground);
+        }
+        .daily-review-comment-list {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          margin: 8px 0;
+        }
+        .daily-review-comment {
+          padding-left: 8px;
+          border-left: 2px solid var(--border);
+        }
+        .daily-review-comment .daily-review-memo-content {
+          font-size: 13px;
+          margin-bottom: 0;
+        }
+        .daily-review-comment-date {
+          color: var(--muted-foreground);
+          margin-bottom: 2px;
+        }
+        .daily-review-comment-form {
+          display: flex;
+          gap: 8px;
+          align-items: center;
+        }
+        .daily-review-comment-input {
+          flex: 1;
+          min-width: 0;
+          padding: 4px 8px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background-color: var(--background);
+          color: var(--foreground);
+          font-size: 12px;
+        }
+        .daily-review-toast {
+          position: absolute;
+          left: 50%;
+          bottom: 72px;
+          transform: translateX(-50%);
+          z-index: 3;
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          padding: 8px 14px;
+          border-radius: 8px;
+          background-color: var(--foreground);
+          color: var(--background);
+          font-size: 13px;
+          box-shadow: var(--shadow-lg);
+        }
+        .daily-review-toast.hidden {
+          display: none;
+        }
+        .daily-review-toast .daily-review-toast-action {
+          color: var(--background);
+          font-weight: 600;
+          text-decoration: underline;
+        }
+        .daily-review-peek {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 0 4px 8px;
+          font-size: 12px;
+          color: var(--muted-foreground);
+        }
+        .daily-review-peek.hidden {
+          display: none;
+        }
+        .daily-review-spark-date {
+          color: var(--muted-foreground);
+        }
+        .daily-review-spark-snippet {
+          display: -webkit-box;
+          -webkit-line-clamp: 3;
+          -webkit-box-orient: vertical;
+          overflow: hidden;
+        }
+        .daily-review-visibility-select {
+          border: none;
+          font-size: 12px;
+          cursor: pointer;
+        }
         .daily-review-memo-content {
           font-size: 14px;
           line-height: 1.6;
@@ -3243,6 +5604,7 @@
         <h2 id="daily-review-dialog-title" class="sr-only">${i18n.t('daily_review')}</h2>
         <div class="daily-review-header">
           <h2 class="daily-review-title" aria-hidden="true">${i18n.t('daily_review')}</h2>
+          <select class="daily-review-select daily-review-profile-select" id="${this.profileSelectId}" aria-label="${i18n.t('profile')}"></select>
           <button class="daily-review-close" id="daily-review-header-close" title="${i18n.t('close')}" aria-label="${i18n.t('close')}">
             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
               <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -3256,6 +5618,14 @@
         </div>
         <div class="daily-review-body">
           <div class="daily-review-panel" id="${this.panelReviewId}">
+            <form class="daily-review-search" id="${this.searchFormId}" role="search">
+              <input type="search" class="daily-review-search-input" id="${this.searchInputId}" placeholder="${i18n.t('search_placeholder')}" aria-label="${i18n.t('search_placeholder')}" autocomplete="off">
+              <button type="button" class="daily-review-link-btn hidden" id="${this.searchClearId}">${i18n.t('search_clear')}</button>
+            </form>
+            <div class="daily-review-peek hidden" id="${this.peekId}">
+              <button type="button" class="daily-review-link-btn" id="daily-review-peek-back">← ${i18n.t('linked_back')}</button>
+              <span class="daily-review-peek-label">${i18n.t('linked_peek')}</span>
+            </div>
             <div class="daily-review-state" id="${this.stateId}"></div>
             <div class="daily-review-deck" id="${this.deckId}">
               <div class="daily-review-card-stack">
@@ -3263,6 +5633,11 @@
                 <div class="daily-review-card daily-review-card-back back-1" aria-hidden="true"></div>
                 <div class="daily-review-card daily-review-card-front" id="${this.cardId}"></div>
               </div>
+              <div class="daily-review-grades" id="${this.gradesId}" role="group" aria-label="${i18n.t('grade_prompt')}">
+                ${[['again', 1], ['hard', 2], ['good', 3], ['easy', 4]].map(([name, grade]) => `
+                  <button class="daily-review-grade-btn grade-${name}" data-grade="${grade}" aria-pressed="false" title="${i18n.t('grade_' + name)} (${grade})">${i18n.t('grade_' + name)}<span class="daily-review-grade-key" aria-hidden="true">${grade}</span></button>
+                `).join('')}
+              </div>
               <div class="daily-review-deck-footer">
                 <div class="daily-review-actions">
                   <button class="daily-review-icon-btn" id="${this.refreshId}" title="${i18n.t('shuffle')}" aria-label="${i18n.t('shuffle')}">
@@ -3271,12 +5646,31 @@
                       <path d="M21 3v5h-5"></path>
                     </svg>
                   </button>
+                  <button class="daily-review-icon-btn" id="${this.favoriteId}" title="${i18n.t('favorite_add')}" aria-label="${i18n.t('favorite_add')}" aria-pressed="false">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                      <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+                    </svg>
+                  </button>
                   <button class="daily-review-icon-btn" id="${this.editId}" title="${i18n.t('edit_memo')}" aria-label="${i18n.t('edit_memo')}">
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
                       <path d="M12 20h9"></path>
                       <path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4Z"></path>
                     </svg>
                   </button>
+                  <button class="daily-review-icon-btn" id="${this.reflectId}" title="${i18n.t('reflect')}" aria-label="${i18n.t('reflect')}">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                      <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+                      <line x1="12" y1="7" x2="12" y2="13"></line>
+                      <line x1="9" y1="10" x2="15" y2="10"></line>
+                    </svg>
+                  </button>
+                  <button class="daily-review-icon-btn" id="${this.archiveId}" title="${i18n.t('archive_memo')}" aria-label="${i18n.t('archive_memo')}">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                      <rect x="2" y="3" width="20" height="5" rx="1"></rect>
+                      <path d="M4 8v11a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8"></path>
+                      <line x1="10" y1="12" x2="14" y2="12"></line>
+                    </svg>
+                  </button>
                   <button class="daily-review-icon-btn delete-btn" id="${this.deleteId}" title="${i18n.t('delete_memo')}" aria-label="${i18n.t('delete_memo')}">
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
                       <polyline points="3 6 5 6 21 6"></polyline>
@@ -3286,6 +5680,34 @@
                       <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"></path>
                     </svg>
                   </button>
+                  <div class="daily-review-snooze">
+                    <button class="daily-review-icon-btn" id="${this.snoozeId}" title="${i18n.t('snooze')}" aria-label="${i18n.t('snooze')}" aria-haspopup="true" aria-expanded="false">
+                      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                        <circle cx="12" cy="12" r="9"></circle>
+                        <polyline points="12 7 12 12 15 14"></polyline>
+                      </svg>
+                    </button>
+                    <div class="daily-review-snooze-menu hidden" id="${this.snoozeMenuId}" role="menu">
+                      ${CONFIG.SNOOZE_OPTIONS_DAYS.map((days) => `<button class="daily-review-export-item" data-snooze="${days}" role="menuitem">${i18n.t('snooze_days').replace('{n}', days)}</button>`).join('')}
+                      <label class="daily-review-export-item daily-review-snooze-date">${i18n.t('snooze_until')}
+                        <input type="date" id="${this.snoozeDateId}">
+                      </label>
+                      <button class="daily-review-export-item" data-snooze="never" role="menuitem">${i18n.t('exclude_memo')}</button>
+                    </div>
+                  </div>
+                  <div class="daily-review-export">
+                    <button class="daily-review-icon-btn" id="${this.exportId}" title="${i18n.t('export')}" aria-label="${i18n.t('export')}" aria-haspopup="true" aria-expanded="false">
+                      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                        <polyline points="7 10 12 15 17 10"></polyline>
+                        <line x1="12" y1="15" x2="12" y2="3"></line>
+                      </svg>
+                    </button>
+                    <div class="daily-review-export-menu hidden" id="${this.exportMenuId}" role="menu">
+                      <button class="daily-review-export-item" data-format="markdown" role="menuitem">${i18n.t('export_markdown')}</button>
+                      <button class="daily-review-export-item" data-format="html" role="menuitem">${i18n.t('export_html')}</button>
+                    </div>
+                  </div>
                 </div>
                 <div class="daily-review-pager">
                   <button class="daily-review-icon-btn" id="${this.prevId}" title="${i18n.t('previous')}" aria-label="${i18n.t('previous')}">
@@ -3311,12 +5733,42 @@
                   ${CONFIG.TIME_RANGES.map(t => `<option value="${t.value}">${i18n.t('time_' + t.value)}</option>`).join('')}
                 </select>
               </div>
+              <div class="daily-review-setting-group" id="daily-review-custom-range-group">
+                <label class="daily-review-setting-label" for="daily-review-custom-start">${i18n.t('custom_range_start')}</label>
+                <input type="date" class="daily-review-select" id="daily-review-custom-start">
+                <label class="daily-review-setting-label" for="daily-review-custom-end">${i18n.t('custom_range_end')}</label>
+                <input type="date" class="daily-review-select" id="daily-review-custom-end">
+              </div>
               <div class="daily-review-setting-group">
                 <label class="daily-review-setting-label">${i18n.t('daily_count')}</label>
                 <select class="daily-review-select" id="daily-review-count">
                   ${CONFIG.COUNT_OPTIONS.map(c => `<option value="${c}">${c}${i18n.t('count_unit')}</option>`).join('')}
                 </select>
               </div>
+              <div class="daily-review-setting-group">
+                <label class="daily-review-setting-label">${i18n.t('review_mode')}</label>
+                <select class="daily-review-select" id="daily-review-mode">
+                  ${CONFIG.REVIEW_MODES.map(m => `<option value="${m}">${i18n.t('mode_' + m)}</option>`).join('')}
+                </select>
+              </div>
+              <div class="daily-review-setting-group" id="daily-review-on-this-day-group">
+                <label class="daily-review-setting-label">${i18n.t('on_this_day_window')}</label>
+                <select class="daily-review-select" id="daily-review-on-this-day-window">
+                  ${CONFIG.ON_THIS_DAY_WINDOWS.map(w => `<option value="${w}">${w === 0 ? i18n.t('on_this_day_exact') : i18n.t('on_this_day_window_option').replace('{n}', w)}</option>`).join('')}
+                </select>
+              </div>
+              <div class="daily-review-setting-group">
+                <label class="daily-review-setting-label">${i18n.t('favorite_cadence')}</label>
+                <select class="daily-review-select" id="daily-review-favorite-cadence">
+                  ${CONFIG.FAVORITE_CADENCES.map(c => `<option value="${c}">${c === 'deck' ? i18n.t('favorite_cadence_deck') : i18n.t('favorite_cadence_days').replace('{n}', c)}</option>`).join('')}
+                </select>
+              </div>
+              <div class="daily-review-setting-group">
+                <label class="daily-review-setting-label">${i18n.t('visibility_filter')}</label>
+                <select class="daily-review-select" id="daily-review-visibility-filter">
+                  ${['all', ...CONFIG.VISIBILITIES].map(v => `<option value="${v}">${i18n.t(`visibility_${v}`)}</option>`).join('')}
+                </select>
+              </div>
               <div class="daily-review-setting-group">
                 <label class="daily-review-setting-label">${i18n.t('language')}</label>
                 <select class="daily-review-select daily-review-language-select">
@@ -3325,11 +5777,61 @@
                 </select>
               </div>
             </div>
+            <div class="daily-review-settings">
+              <div class="daily-review-setting-group">
+                <label class="daily-review-setting-label">${i18n.t('profile')}</label>
+                <button class="daily-review-btn daily-review-btn-secondary" id="daily-review-profile-rename">${i18n.t('profile_rename')}</button>
+                <button class="daily-review-btn daily-review-btn-secondary" id="daily-review-profile-delete">${i18n.t('profile_delete')}</button>
+              </div>
+            </div>
+            <div class="daily-review-settings">
+              <div class="daily-review-setting-group">
+                <label class="daily-review-setting-label">${i18n.t('backup')}</label>
+                <button class="daily-review-btn daily-review-btn-secondary" id="daily-review-backup-export">${i18n.t('backup_export')}</button>
+                <select class="daily-review-select" id="daily-review-backup-mode" aria-label="${i18n.t('backup_import')}">
+                  <option value="merge">${i18n.t('backup_mode_merge')}</option>
+                  <option value="replace">${i18n.t('backup_mode_replace')}</option>
+                </select>
+                <button class="daily-review-btn daily-review-btn-secondary" id="daily-review-backup-import">${i18n.t('backup_import')}</button>
+                <input type="file" id="daily-review-backup-file" accept="application/json,.json" hidden>
+              </div>
+              <div class="daily-review-setting-group">
+                <label class="daily-review-setting-label" title="${i18n.t('sync_history_hint')}">
+                  <input type="checkbox" id="daily-review-sync-history">
+                  ${i18n.t('sync_history')}
+                </label>
+              </div>
+            </div>
+            <div class="daily-review-tag-filters">
+              <span class="daily-review-setting-label">${i18n.t('hidden_memos')}</span>
+              <div class="daily-review-hidden-list" id="${this.hiddenListId}"></div>
+            </div>
+            <div class="daily-review-tag-filters">
+              <div class="daily-review-tag-filters-header">
+                <span class="daily-review-setting-label">${i18n.t('tag_filters')}</span>
+                <button class="daily-review-link-btn" id="daily-review-tag-filters-clear">${i18n.t('tag_filters_clear')}</button>
+              </div>
+              <div class="daily-review-tag-filters-hint">${i18n.t('tag_filters_hint')}</div>
+              <div class="daily-review-tag-chips" id="${this.tagFiltersId}"></div>
+            </div>
+            <details class="daily-review-buckets">
+              <summary class="daily-review-setting-label">${i18n.t('buckets')}</summary>
+              <div class="daily-review-tag-filters-hint">${i18n.t('buckets_hint')}</div>
+              <div class="daily-review-bucket-rows" id="${this.bucketEditorId}"></div>
+              <div class="daily-review-tag-filters-header">
+                <button class="daily-review-link-btn" id="daily-review-bucket-add">${i18n.t('bucket_add')}</button>
+                <button class="daily-review-link-btn" id="daily-review-buckets-reset">${i18n.t('buckets_reset')}</button>
+              </div>
+            </details>
             <div class="daily-review-settings-hint">
               ${i18n.t('single_card_desc')}
             </div>
           </div>
         </div>
+        <div class="daily-review-toast hidden" id="${this.toastId}" role="status" aria-live="polite">
+          <span class="daily-review-toast-message"></span>
+          <button type="button" class="daily-review-link-btn daily-review-toast-action"></button>
+        </div>
         <div class="daily-review-footer">
           <button class="daily-review-btn daily-review-btn-primary" id="daily-review-close-btn" aria-label="${i18n.t('close')}">${i18n.t('close')}</button>
         </div>
@@ -3345,10 +5847,21 @@
       cleanupService.register('dialog', dialog.querySelector('#daily-review-close-btn'), 'click', closeHandler);
       cleanupService.register('dialog', dialog.querySelector(`#${this.refreshId}`), 'click',
         () => controller.newBatch().catch(err => console.error('Failed to generate new batch:', err)));
+      cleanupService.register('dialog', dialog.querySelector(`#${this.favoriteId}`), 'click',
+        () => controller.toggleFavoriteCurrent());
       cleanupService.register('dialog', dialog.querySelector(`#${this.editId}`), 'click',
         () => controller.editCurrent());
+      cleanupService.register('dialog', dialog.querySelector(`#${this.reflectId}`), 'click',
+        () => controller.reflectCurrent());
+      cleanupService.register('dialog', dialog.querySelector(`#${this.archiveId}`), 'click',
+        () => controller.archiveCurrent().catch(err => console.error('Failed to archive memo:', err)));
       cleanupService.register('dialog', dialog.querySelector(`#${this.deleteId}`), 'click',
         () => controller.deleteCurrent());
+      cleanupService.register('dialog', dialog.querySelector(`#${this.toastId} .daily-review-toast-action`), 'click',
+        () => this.runToastAction());
+      dialog.querySelectorAll('.daily-review-grade-btn').forEach((btn) => {
+        cleanupService.register('dialog', btn, 'click', () => controller.gradeCurrent(btn.dataset.grade));
+      });
       cleanupService.register('dialog', dialog.querySelector(`#${this.prevId}`), 'click',
         () => controller.prev());
       cleanupService.register('dialog', dialog.querySelector(`#${this.nextId}`), 'click',
@@ -3358,18 +5871,187 @@
         cleanupService.register('dialog', tab, 'click', () => this.switchTab(tab.dataset.tab));
       });
 
-      cleanupService.register('dialog', dialog.querySelector('#daily-review-time-range'), 'change', (e) => {
-        const settings = settingsService.load();
+      cleanupService.register('dialog', dialog.querySelector(`#${this.exportId}`), 'click',
+        () => this.toggleExportMenu());
+      cleanupService.register('dialog', dialog.querySelector(`#${this.exportMenuId}`), 'click', (e) => {
+        const item = e.target.closest('.daily-review-export-item');
+        if (!item) return;
+        this.toggleExportMenu(false);
+        controller.exportDeck(item.dataset.format);
+      });
+
+      cleanupService.register('dialog', dialog.querySelector(`#${this.snoozeId}`), 'click', () => {
+        const dateInput = document.getElementById(this.snoozeDateId);
+        if (dateInput) dateInput.min = utils.addDays(utils.getDailySeed(), 1);
+        this.toggleSnoozeMenu();
+      });
+      cleanupService.register('dialog', dialog.querySelector(`#${this.snoozeMenuId}`), 'click', (e) => {
+        const item = e.target.closest('[data-snooze]');
+        if (!item) return;
+        this.toggleSnoozeMenu(false);
+        if (item.dataset.snooze === 'never') {
+          controller.excludeCurrent();
+        } else {
+          controller.snoozeCurrent(utils.addDays(utils.getDailySeed(), parseInt(item.dataset.snooze, 10)));
+        }
+      });
+      cleanupService.register('dialog', dialog.querySelector(`#${this.snoozeDateId}`), 'change', (e) => {
+        const day = e.target.value;
+        e.target.value = '';
+        if (!utils.isDayString(day) || day <= utils.getDailySeed()) return;
+        this.toggleSnoozeMenu(false);
+        controller.snoozeCurrent(day);
+      });
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-peek-back'), 'click',
+        () => controller.closePeek());
+      cleanupService.register('dialog', dialog.querySelector(`#${this.cardId}`), 'change', (e) => {
+        if (!e.target.classList.contains('daily-review-visibility-select')) return;
+        controller.setVisibilityCurrent(e.target.value).catch(err => console.error('Failed to change visibility:', err));
+      });
+      cleanupService.register('dialog', dialog.querySelector(`#${this.cardId}`), 'submit', (e) => {
+        const form = e.target.closest('.daily-review-comment-form');
+        if (!form) return;
+        e.preventDefault();
+        const section = form.closest('.daily-review-comments');
+        const input = form.querySelector('.daily-review-comment-input');
+        controller.postComment(section.dataset.commentsFor, input ? input.value : '')
+          .catch(err => console.error('Failed to post comment:', err));
+      });
+      cleanupService.register('dialog', dialog.querySelector(`#${this.cardId}`), 'click', (e) => {
+        const commentsSummary = e.target.closest('.daily-review-comments > summary');
+        if (commentsSummary) {
+          // The click opens the <details>; load the thread on the way.
+          if (!commentsSummary.parentElement.open) {
+            controller.loadComments(commentsSummary.parentElement.dataset.commentsFor)
+              .catch(err => console.error('Failed to load comments:', err));
+          }
+          return;
+        }
+        const linked = e.target.closest('[data-open-memo]');
+        if (linked) {
+          controller.openLinkedMemo(linked.dataset.openMemo).catch(err => console.error('Failed to open linked memo:', err));
+        } else if (e.target.closest('[data-spark-partner]')) {
+          controller.showSparkPartner();
+        } else if (e.target.closest('[data-spark-link]')) {
+          controller.linkSparkPair().catch(err => console.error('Failed to link spark pair:', err));
+        }
+      });
+      cleanupService.register('dialog', dialog.querySelector(`#${this.hiddenListId}`), 'click', (e) => {
+        const button = e.target.closest('[data-restore]');
+        if (button) controller.restoreMemo(button.dataset.restore);
+      });
+
+      cleanupService.register('dialog', dialog.querySelector(`#${this.searchFormId}`), 'submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById(this.searchInputId);
+        controller.search(input ? input.value : '').catch(err => console.error('Search failed:', err));
+      });
+      cleanupService.register('dialog', dialog.querySelector(`#${this.searchClearId}`), 'click',
+        () => controller.clearSearch());
+
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-time-range'), 'change', (e) => {
+        const settings = settingsService.load();
         settings.timeRange = e.target.value;
         settingsService.save(settings);
+        this.syncSettingsControls();
         controller.onSettingsChanged().catch(err => console.error('Settings change failed:', err));
       });
+      ['start', 'end'].forEach((edge) => {
+        cleanupService.register('dialog', dialog.querySelector(`#daily-review-custom-${edge}`), 'change', (e) => {
+          const settings = settingsService.load();
+          settings[edge === 'start' ? 'customStart' : 'customEnd'] = e.target.value || '';
+          settingsService.save(settings);
+          this.syncSettingsControls();
+          controller.onSettingsChanged().catch(err => console.error('Settings change failed:', err));
+        });
+      });
       cleanupService.register('dialog', dialog.querySelector('#daily-review-count'), 'change', (e) => {
         const settings = settingsService.load();
         settings.count = parseInt(e.target.value, 10);
         settingsService.save(settings);
         controller.onSettingsChanged().catch(err => console.error('Settings change failed:', err));
       });
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-mode'), 'change', (e) => {
+        const settings = settingsService.load();
+        settings.mode = e.target.value;
+        settingsService.save(settings);
+        this.syncSettingsControls();
+        controller.onSettingsChanged().catch(err => console.error('Settings change failed:', err));
+      });
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-on-this-day-window'), 'change', (e) => {
+        const settings = settingsService.load();
+        settings.onThisDayWindow = parseInt(e.target.value, 10);
+        settingsService.save(settings);
+        controller.onSettingsChanged().catch(err => console.error('Settings change failed:', err));
+      });
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-favorite-cadence'), 'change', (e) => {
+        const settings = settingsService.load();
+        settings.favoriteCadence = e.target.value;
+        settingsService.save(settings);
+        controller.onSettingsChanged().catch(err => console.error('Settings change failed:', err));
+      });
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-visibility-filter'), 'change', (e) => {
+        const settings = settingsService.load();
+        settings.visibilityFilter = e.target.value;
+        settingsService.save(settings);
+        controller.onSettingsChanged().catch(err => console.error('Settings change failed:', err));
+      });
+
+      cleanupService.register('dialog', dialog.querySelector(`#${this.profileSelectId}`), 'change', (e) => {
+        const value = e.target.value;
+        if (value === '__new__') {
+          controller.createProfile().catch(err => console.error('Failed to create profile:', err));
+        } else {
+          controller.switchProfile(value).catch(err => console.error('Failed to switch profile:', err));
+        }
+      });
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-sync-history'), 'change', (e) => {
+        const settings = settingsService.load();
+        settings.syncHistory = !!e.target.checked;
+        settingsService.save(settings);
+        if (settings.syncHistory) {
+          // Re-probe support in case an earlier attempt marked it unavailable.
+          capabilityService.markHistorySyncSupport(true);
+          syncService.sync().catch(() => {});
+        }
+      });
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-backup-export'), 'click',
+        () => controller.exportBackup());
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-backup-import'), 'click', () => {
+        const fileInput = dialog.querySelector('#daily-review-backup-file');
+        if (fileInput) fileInput.click();
+      });
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-backup-file'), 'change', (e) => {
+        const file = e.target.files && e.target.files[0];
+        const modeSelect = dialog.querySelector('#daily-review-backup-mode');
+        e.target.value = '';
+        if (!file) return;
+        controller.importBackup(file, modeSelect ? modeSelect.value : 'merge')
+          .catch(err => console.error('Failed to import backup:', err));
+      });
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-profile-rename'), 'click',
+        () => controller.renameActiveProfile());
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-profile-delete'), 'click',
+        () => controller.deleteActiveProfile().catch(err => console.error('Failed to delete profile:', err)));
+      cleanupService.register('dialog', dialog.querySelector(`#${this.tagFiltersId}`), 'click', (e) => {
+        const chip = e.target.closest('.daily-review-tag-chip');
+        if (chip) controller.toggleTagFilter(chip.dataset.tag);
+      });
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-tag-filters-clear'), 'click',
+        () => controller.clearTagFilters());
+      cleanupService.register('dialog', dialog.querySelector(`#${this.bucketEditorId}`), 'change',
+        () => controller.setBuckets(this.readBucketEditor()));
+      cleanupService.register('dialog', dialog.querySelector(`#${this.bucketEditorId}`), 'click', (e) => {
+        const removeBtn = e.target.closest('.daily-review-bucket-remove');
+        if (!removeBtn) return;
+        const buckets = this.readBucketEditor();
+        buckets.splice(parseInt(removeBtn.dataset.index, 10), 1);
+        controller.setBuckets(buckets);
+      });
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-bucket-add'), 'click',
+        () => controller.addBucket());
+      cleanupService.register('dialog', dialog.querySelector('#daily-review-buckets-reset'), 'click',
+        () => controller.setBuckets([]));
 
       // Language selector
       const languageSelect = dialog.querySelector('.daily-review-language-select');
@@ -3425,6 +6107,10 @@
         </div>
         <textarea class="daily-review-edit-textarea" id="${this.editTextareaId}" spellcheck="false" aria-label="${i18n.t('edit_memo')}"></textarea>
         <div class="daily-review-edit-footer">
+          <label class="daily-review-edit-tag hidden">
+            <input type="checkbox" id="${this.editTagId}">
+            ${i18n.t('reflect_tag').replace('{tag}', CONFIG.REFLECT_TAG)}
+          </label>
           <button class="daily-review-btn daily-review-btn-secondary" id="${this.editCancelId}" aria-label="${i18n.t('cancel')}">${i18n.t('cancel')}</button>
           <button class="daily-review-btn daily-review-btn-primary" id="${this.editSaveId}" aria-label="${i18n.t('save')}">${i18n.t('save')}</button>
         </div>
@@ -3437,6 +6123,11 @@
       dialog.querySelector('.daily-review-close').addEventListener('click', () => controller.closeEditor());
       document.getElementById(this.editCancelId).addEventListener('click', () => controller.closeEditor());
       document.getElementById(this.editSaveId).addEventListener('click', () => controller.saveEditor());
+      document.getElementById(this.editTagId).addEventListener('change', (e) => {
+        const settings = settingsService.load();
+        settings.reflectTag = !!e.target.checked;
+        settingsService.save(settings);
+      });
 
       // Bind tooltips after DOM insertion
       requestAnimationFrame(() => {
@@ -3444,14 +6135,31 @@
       });
     },
 
-    openEditor(content) {
+    // mode 'edit' changes the current memo; 'reflect' drafts a new memo (caret at the end, optional tag).
+    openEditor(content, mode = 'edit') {
       const overlay = document.getElementById(this.editOverlayId);
       const textarea = document.getElementById(this.editTextareaId);
       if (!overlay || !textarea) return;
+      const reflect = mode === 'reflect';
       textarea.value = content || '';
+      const title = document.getElementById('daily-review-edit-title');
+      if (title) title.textContent = i18n.t(reflect ? 'reflect_title' : 'edit_title');
+      const tagToggle = document.getElementById(this.editTagId);
+      if (tagToggle) {
+        tagToggle.checked = settingsService.load().reflectTag;
+        tagToggle.closest('.daily-review-edit-tag')?.classList.toggle('hidden', !reflect);
+      }
       this.setEditStatus('');
       overlay.classList.add('visible');
-      requestAnimationFrame(() => textarea.focus());
+      requestAnimationFrame(() => {
+        textarea.focus();
+        if (reflect) textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+      });
+    },
+
+    isReflectTagChecked() {
+      const tagToggle = document.getElementById(this.editTagId);
+      return !!tagToggle && tagToggle.checked;
     },
 
     closeEditor() {
@@ -3506,6 +6214,100 @@
         reviewPanel.classList.toggle('hidden', tabName !== 'review');
         settingsPanel.classList.toggle('hidden', tabName !== 'settings');
       }
+      if (tabName === 'settings') {
+        this.renderTagFilters();
+        this.renderHiddenMemos();
+      }
+    },
+
+    renderHiddenMemos() {
+      const container = document.getElementById(this.hiddenListId);
+      if (!container) return;
+      const hidden = historyService.listHidden(historyService.load(), utils.getDailySeed());
+      if (hidden.length === 0) {
+        container.innerHTML = `<span class="daily-review-tag-filters-empty">${i18n.t('hidden_memos_empty')}</span>`;
+        return;
+      }
+      const known = new Map([...(controller.lastPool || []), ...controller.deckMemos]
+        .filter((m) => m && m.id)
+        .map((m) => [m.id, m]));
+      container.innerHTML = hidden.map((item) => {
+        const memo = known.get(item.memoId);
+        const snippet = memo ? utils.getSnippet(memo.content) : '';
+        const status = item.excluded
+          ? i18n.t('hidden_excluded')
+          : i18n.t('hidden_snoozed_until').replace('{day}', item.snoozedUntil);
+        const safeId = utils.escapeHtml(item.memoId);
+        return `
+          <div class="daily-review-hidden-item">
+            <span class="daily-review-hidden-snippet" title="${safeId}">${utils.escapeHtml(snippet || item.memoId)}</span>
+            <span class="daily-review-hidden-status">${status}</span>
+            <button class="daily-review-link-btn" data-restore="${safeId}">${i18n.t('hidden_restore')}</button>
+          </div>
+        `;
+      }).join('');
+    },
+
+    renderTagFilters() {
+      const container = document.getElementById(this.tagFiltersId);
+      if (!container) return;
+      const settings = settingsService.load();
+      const tags = controller.getAvailableTags(settings);
+      if (tags.length === 0) {
+        container.innerHTML = `<span class="daily-review-tag-filters-empty">${i18n.t('tag_filters_empty')}</span>`;
+        return;
+      }
+      container.innerHTML = tags.map((tag) => {
+        let state = '';
+        if (settings.includeTags.includes(tag)) state = 'include';
+        else if (settings.excludeTags.includes(tag)) state = 'exclude';
+        const stateLabel = state === 'include' ? i18n.t('tag_included') : (state === 'exclude' ? i18n.t('tag_excluded') : '');
+        const safeTag = utils.escapeHtml(tag);
+        return `<button class="daily-review-tag-chip${state ? ` ${state}` : ''}" data-tag="${safeTag}" aria-pressed="${state ? 'true' : 'false'}"${stateLabel ? ` title="${stateLabel}"` : ''}>${state === 'exclude' ? '−' : (state === 'include' ? '+' : '')}#${safeTag}</button>`;
+      }).join('');
+    },
+
+    renderBucketEditor() {
+      const container = document.getElementById(this.bucketEditorId);
+      if (!container) return;
+      const buckets = settingsService.getBuckets(settingsService.load());
+      const total = buckets.reduce((sum, b) => sum + b.weight, 0);
+      container.innerHTML = buckets.map((bucket, index) => {
+        const share = total > 0 ? Math.round((bucket.weight / total) * 100) : 0;
+        const age = bucket.minAgeDays === 0
+          ? `<span>${i18n.t('bucket_newest')}</span>`
+          : `<span>${i18n.t('bucket_older_than')}</span>
+             <input type="number" class="daily-review-select daily-review-bucket-age" min="1" max="${CONFIG.BUCKET_AGE_MAX_DAYS}" value="${bucket.minAgeDays - 1}" aria-label="${i18n.t('bucket_older_than')}">
+             <span>${i18n.t('bucket_days')}</span>`;
+        const remove = bucket.minAgeDays === 0
+          ? ''
+          : `<button class="daily-review-link-btn daily-review-bucket-remove" data-index="${index}" title="${i18n.t('bucket_remove')}" aria-label="${i18n.t('bucket_remove')}">×</button>`;
+        return `
+          <div class="daily-review-bucket-row" data-min-age="${bucket.minAgeDays}">
+            ${age}
+            <span>${i18n.t('bucket_weight')}</span>
+            <input type="number" class="daily-review-select daily-review-bucket-weight" min="0" max="${CONFIG.BUCKET_WEIGHT_MAX}" value="${bucket.weight}" aria-label="${i18n.t('bucket_weight')}">
+            <span class="daily-review-bucket-share">${share}%</span>
+            ${remove}
+          </div>
+        `;
+      }).join('');
+      const addBtn = document.getElementById('daily-review-bucket-add');
+      if (addBtn) addBtn.disabled = buckets.length >= CONFIG.BUCKETS_MAX;
+    },
+
+    // Buckets as currently shown in the editor; "older than N days" means an age of at least N + 1 days.
+    readBucketEditor() {
+      const container = document.getElementById(this.bucketEditorId);
+      if (!container) return [];
+      return Array.from(container.querySelectorAll('.daily-review-bucket-row')).map((row) => {
+        const ageInput = row.querySelector('.daily-review-bucket-age');
+        const weightInput = row.querySelector('.daily-review-bucket-weight');
+        return {
+          minAgeDays: ageInput ? parseInt(ageInput.value, 10) + 1 : 0,
+          weight: weightInput ? parseInt(weightInput.value, 10) : 0
+        };
+      });
     },
 
     createImagePreview() {
@@ -3575,20 +6377,7 @@
       const overlay = document.getElementById(this.overlayId);
       const dialog = document.getElementById(this.dialogId);
       if (overlay && dialog) {
-        // Set initial settings values
-        const settings = settingsService.load();
-        const timeRangeSelect = dialog.querySelector('#daily-review-time-range');
-        if (timeRangeSelect) {
-          const validTimeRange = CONFIG.TIME_RANGES.some((t) => t.value === settings.timeRange);
-          timeRangeSelect.value = validTimeRange ? settings.timeRange : CONFIG.DEFAULT_TIME_RANGE;
-        }
-
-        const countSelect = dialog.querySelector('#daily-review-count');
-        if (countSelect) {
-          const countValue = typeof settings.count === 'number' ? settings.count : parseInt(settings.count, 10);
-          const validCount = CONFIG.COUNT_OPTIONS.includes(countValue);
-          countSelect.value = String(validCount ? countValue : CONFIG.DEFAULT_COUNT);
-        }
+        this.syncSettingsControls();
         this.switchTab('review');
 
         // Show with animation
@@ -3612,6 +6401,107 @@
       }
     },
 
+    // Reflect the active profile's settings in the header and settings controls.
+    syncSettingsControls() {
+      const dialog = document.getElementById(this.dialogId);
+      if (!dialog) return;
+      this.renderProfileSelect();
+      const deleteProfileBtn = dialog.querySelector('#daily-review-profile-delete');
+      if (deleteProfileBtn) {
+        deleteProfileBtn.disabled = profileService.getActiveId() === CONFIG.DEFAULT_PROFILE_ID;
+      }
+
+      const settings = settingsService.load();
+      const timeRangeSelect = dialog.querySelector('#daily-review-time-range');
+      if (timeRangeSelect) {
+        const validTimeRange = CONFIG.TIME_RANGES.some((t) => t.value === settings.timeRange);
+        timeRangeSelect.value = validTimeRange ? settings.timeRange : CONFIG.DEFAULT_TIME_RANGE;
+      }
+      const customRangeGroup = dialog.querySelector('#daily-review-custom-range-group');
+      if (customRangeGroup) {
+        customRangeGroup.style.display = settings.timeRange === 'custom' ? '' : 'none';
+      }
+      const customStartInput = dialog.querySelector('#daily-review-custom-start');
+      if (customStartInput) customStartInput.value = settings.customStart;
+      const customEndInput = dialog.querySelector('#daily-review-custom-end');
+      if (customEndInput) customEndInput.value = settings.customEnd;
+
+      const countSelect = dialog.querySelector('#daily-review-count');
+      if (countSelect) {
+        const countValue = typeof settings.count === 'number' ? settings.count : parseInt(settings.count, 10);
+        const validCount = CONFIG.COUNT_OPTIONS.includes(countValue);
+        countSelect.value = String(validCount ? countValue : CONFIG.DEFAULT_COUNT);
+      }
+
+      const modeSelect = dialog.querySelector('#daily-review-mode');
+      if (modeSelect) {
+        modeSelect.value = settings.mode;
+      }
+
+      const syncCheckbox = dialog.querySelector('#daily-review-sync-history');
+      if (syncCheckbox) {
+        syncCheckbox.checked = settings.syncHistory;
+      }
+
+      const favoriteCadenceSelect = dialog.querySelector('#daily-review-favorite-cadence');
+      if (favoriteCadenceSelect) {
+        favoriteCadenceSelect.value = settings.favoriteCadence;
+      }
+
+      const visibilitySelect = dialog.querySelector('#daily-review-visibility-filter');
+      if (visibilitySelect) {
+        visibilitySelect.value = settings.visibilityFilter;
+      }
+
+      const windowSelect = dialog.querySelector('#daily-review-on-this-day-window');
+      if (windowSelect) {
+        windowSelect.value = String(settings.onThisDayWindow);
+      }
+      const windowGroup = dialog.querySelector('#daily-review-on-this-day-group');
+      if (windowGroup) {
+        windowGroup.style.display = settings.mode === 'onthisday' ? '' : 'none';
+      }
+
+      this.renderBucketEditor();
+    },
+
+    toggleSnoozeMenu(force) {
+      const menu = document.getElementById(this.snoozeMenuId);
+      const button = document.getElementById(this.snoozeId);
+      if (!menu) return;
+      const open = typeof force === 'boolean' ? force : menu.classList.contains('hidden');
+      menu.classList.toggle('hidden', !open);
+      if (button) button.setAttribute('aria-expanded', String(open));
+    },
+
+    toggleExportMenu(force) {
+      const menu = document.getElementById(this.exportMenuId);
+      const button = document.getElementById(this.exportId);
+      if (!menu) return;
+      const open = typeof force === 'boolean' ? force : menu.classList.contains('hidden');
+      menu.classList.toggle('hidden', !open);
+      if (button) button.setAttribute('aria-expanded', String(open));
+    },
+
+    // Reflect search mode in the search bar; `query` is '' when showing the review deck.
+    setSearchState(query) {
+      const input = document.getElementById(this.searchInputId);
+      if (input && input.value !== query) input.value = query;
+      const clearBtn = document.getElementById(this.searchClearId);
+      if (clearBtn) clearBtn.classList.toggle('hidden', !query);
+    },
+
+    renderProfileSelect() {
+      const select = document.getElementById(this.profileSelectId);
+      if (!select) return;
+      const activeId = profileService.getActiveId();
+      select.innerHTML = `
+        ${profileService.list().map((p) => `<option value="${utils.escapeHtml(p.id)}">${utils.escapeHtml(profileService.getDisplayName(p))}</option>`).join('')}
+        <option value="__new__">${i18n.t('profile_new')}</option>
+      `;
+      select.value = activeId;
+    },
+
     hideDialog() {
       const overlay = document.getElementById(this.overlayId);
       const dialog = document.getElementById(this.dialogId);
@@ -3648,6 +6538,13 @@
             <div class="daily-review-empty-hint">${i18n.t('empty_hint')}</div>
           </div>
         `;
+      } else if (type === 'search-empty') {
+        state.innerHTML = `
+          <div class="daily-review-empty">
+            <div class="daily-review-empty-icon">🔍</div>
+            <div class="daily-review-empty-title">${utils.escapeHtml(i18n.t('search_no_results').replace('{q}', message || ''))}</div>
+          </div>
+        `;
       } else if (type === 'error') {
         state.innerHTML = `<div>${utils.escapeHtml(message || i18n.t('load_failed'))}</div>`;
       }
@@ -3660,7 +6557,11 @@
       }
       const safeIndex = Math.max(0, Math.min(index, deckMemos.length - 1));
       this.setReviewState(null);
-      this.renderMemoCard(deckMemos[safeIndex], safeIndex, deckMemos.length);
+      const memo = deckMemos[safeIndex];
+      const partnerId = memo?.spark?.partnerId;
+      const partnerIndex = partnerId ? deckMemos.findIndex((m) => m && m.id === partnerId) : -1;
+      const partner = partnerIndex >= 0 ? deckMemos[partnerIndex] : null;
+      this.renderMemoCard(memo, safeIndex, deckMemos.length, partner);
 
       // Add fade-in animation for new batch
       if (motionUtils.shouldAnimate()) {
@@ -3679,7 +6580,7 @@
       }
     },
 
-    renderMemoCard(memo, index, total) {
+    renderMemoCard(memo, index, total, partner = null) {
       const card = document.getElementById(this.cardId);
       const counter = document.getElementById(this.counterId);
       const prev = document.getElementById(this.prevId);
@@ -3722,8 +6623,36 @@
         gridClass = 'grid-3';
       }
 
+      let yearsAgoLabel = '';
+      if (typeof memo.yearsAgo === 'number' && memo.yearsAgo > 0) {
+        yearsAgoLabel = memo.yearsAgo === 1 ? i18n.t('one_year_ago') : i18n.t('years_ago').replace('{n}', memo.yearsAgo);
+      }
+
+      // Explain why a spark pair was put together.
+      let sparkBadge = '';
+      if (memo.spark && Array.isArray(memo.spark.terms) && memo.spark.terms.length > 0) {
+        const label = memo.spark.reason === 'tag'
+          ? i18n.t('spark_badge_tag').replace('{tag}', memo.spark.terms[0])
+          : i18n.t('spark_badge_similar').replace('{terms}', memo.spark.terms.join(', '));
+        const hint = i18n.t('spark_badge_hint').replace('{date}', utils.formatDate(memo.spark.partnerTime));
+        sparkBadge = `<span class="daily-review-memo-badge" title="${utils.escapeHtml(hint)}">✦ ${utils.escapeHtml(label)}</span>`;
+      }
+      // Visibility as a small select when the memo can be updated, otherwise a plain badge.
+      let visibilityBadge = '';
+      if (CONFIG.VISIBILITIES.includes(memo.visibility)) {
+        visibilityBadge = memo.name
+          ? `<select class="daily-review-memo-badge daily-review-visibility-select" aria-label="${i18n.t('visibility_change')}" title="${i18n.t('visibility_change')}">
+              ${CONFIG.VISIBILITIES.map(v => `<option value="${v}" ${v === memo.visibility ? 'selected' : ''}>${i18n.t(`visibility_${v}`)}</option>`).join('')}
+            </select>`
+          : `<span class="daily-review-memo-badge">${i18n.t(`visibility_${memo.visibility}`)}</span>`;
+      }
+      const pinnedBadge = memo.pinned ? `<span class="daily-review-memo-badge">${i18n.t('pinned')}</span>` : '';
+      const sparkPanel = partner ? this.renderSparkPanel(memo, partner) : '';
+      const relationsPanel = this.renderRelations(memo);
+      const commentsPanel = this.renderCommentsSection(memo);
+
       card.innerHTML = `
-        <div class="daily-review-memo-date">${utils.formatDate(createTime)}</div>
+        <div class="daily-review-memo-date">${yearsAgoLabel ? `<span class="daily-review-memo-badge">${yearsAgoLabel}</span>` : ''}${sparkBadge}${pinnedBadge}${visibilityBadge}${utils.formatDate(createTime)}</div>
         ${tags.length > 0 ? `
           <div class="daily-review-memo-tags">
             ${tags.map(tag => `<span class="daily-review-memo-tag">#${utils.escapeHtml(tag)}</span>`).join('')}
@@ -3739,6 +6668,9 @@
             `).join('')}
           </div>
         ` : ''}
+        ${sparkPanel}
+        ${relationsPanel}
+        ${commentsPanel}
       `;
 
       // Reset scroll position when switching cards.
@@ -3774,6 +6706,9 @@
         edit.dataset.tooltipText = label;
       }
 
+      const archive = document.getElementById(this.archiveId);
+      if (archive) archive.disabled = !memo.name;
+
       const del = document.getElementById(this.deleteId);
       if (del) {
         del.disabled = !memo.name;
@@ -3783,9 +6718,209 @@
         del.dataset.tooltipText = label;
       }
 
+      const memoId = memo.id || utils.getMemoId(memo);
+      this.setFavoriteState(memoId);
+      this.setGradeState(memoId ? historyService.getGradeForDay(historyService.load(), memoId, utils.getDailySeed()) : null);
+      const grades = document.getElementById(this.gradesId);
+      if (grades) grades.classList.toggle('hidden', controller.isBrowsing());
+
       this.bindImagePreview();
     },
 
+    // Both halves of a spark pair side by side (older first); the partner half switches to its card.
+    renderSparkPanel(memo, partner) {
+      const memoTime = utils.toTimeMs(memo.createTime, 0);
+      const partnerTime = utils.toTimeMs(partner.createTime, 0);
+      const sides = memoTime <= partnerTime ? [memo, partner] : [partner, memo];
+      const renderSide = (side) => {
+        const date = utils.formatDate(utils.toTimeMs(side.createTime, Date.now()));
+        const snippet = utils.escapeHtml(utils.getSnippet(side.content, 120));
+        if (side === memo) {
+          return `
+            <div class="daily-review-spark-side is-current" aria-current="true">
+              <span class="daily-review-spark-date">${date}</span>
+              <span class="daily-review-spark-snippet">${snippet}</span>
+            </div>
+          `;
+        }
+        return `
+          <button type="button" class="daily-review-spark-side" data-spark-partner title="${i18n.t('spark_show_partner')}">
+            <span class="daily-review-spark-date">${date}</span>
+            <span class="daily-review-spark-snippet">${snippet}</span>
+          </button>
+        `;
+      };
+      return `
+        <div class="daily-review-spark">
+          <div class="daily-review-spark-title">✦ ${i18n.t('spark_pair_title')}</div>
+          <div class="daily-review-spark-sides">${sides.map(renderSide).join('')}</div>
+          <button type="button" class="daily-review-link-btn" data-spark-link>${i18n.t('spark_link')}</button>
+        </div>
+      `;
+    },
+
+    // Collapsible "Linked memos" / "Referenced by" lists; each entry opens that memo as a temporary card.
+    renderRelations(memo) {
+      const { linked, referencedBy } = utils.getMemoLinks(memo);
+      if (linked.length === 0 && referencedBy.length === 0) return '';
+      const known = new Map([...(controller.lastPool || []), ...controller.deckMemos]
+        .filter((m) => m && m.name)
+        .map((m) => [m.name, m]));
+      const renderGroup = (labelKey, refs) => {
+        if (refs.length === 0) return '';
+        const items = refs.map((ref) => {
+          const source = known.get(ref.name);
+          const label = (source ? utils.getSnippet(source.content) : utils.getSnippet(ref.snippet)) || ref.name;
+          const safeName = utils.escapeHtml(ref.name);
+          return `<button type="button" class="daily-review-relation" data-open-memo="${safeName}" title="${safeName}">${utils.escapeHtml(label)}</button>`;
+        }).join('');
+        return `
+          <details class="daily-review-relations">
+            <summary>${i18n.t(labelKey)} (${refs.length})</summary>
+            <div class="daily-review-relation-list">${items}</div>
+          </details>
+        `;
+      };
+      return renderGroup('relations_linked', linked) + renderGroup('relations_referenced_by', referencedBy);
+    },
+
+    // Collapsed comments thread; the comments are fetched when it is first opened.
+    renderCommentsSection(memo) {
+      if (!memo?.name || !capabilityService.canUseMemoComments()) return '';
+      const cached = controller.commentsCache.get(memo.name);
+      const count = cached ? cached.length : utils.getMemoLinks(memo).comments.length;
+      return `
+        <details class="daily-review-comments" data-comments-for="${utils.escapeHtml(memo.name)}">
+          <summary>${i18n.t('comments')}${count > 0 ? ` (${count})` : ''}</summary>
+          <div class="daily-review-comment-list" aria-live="polite"></div>
+          <form class="daily-review-comment-form">
+            <input type="text" class="daily-review-comment-input" placeholder="${i18n.t('comment_placeholder')}" aria-label="${i18n.t('comment_placeholder')}" autocomplete="off">
+            <button type="submit" class="daily-review-link-btn">${i18n.t('comment_send')}</button>
+          </form>
+        </details>
+      `;
+    },
+
+    getCommentsSection(memoName) {
+      const section = document.querySelector(`#${this.cardId} .daily-review-comments`);
+      return section && section.dataset.commentsFor === memoName ? section : null;
+    },
+
+    // state: { loading } | { error } | { unsupported } | { items }
+    renderComments(memoName, state) {
+      const section = this.getCommentsSection(memoName);
+      if (!section) return;
+      if (state.unsupported) {
+        section.remove();
+        return;
+      }
+      const list = section.querySelector('.daily-review-comment-list');
+      if (!list) return;
+      if (state.loading) {
+        list.innerHTML = `<span class="daily-review-tag-filters-empty">${i18n.t('loading')}</span>`;
+      } else if (state.error) {
+        list.innerHTML = `<span class="daily-review-tag-filters-empty">${i18n.t('comments_failed')}</span>`;
+      } else if (state.items.length === 0) {
+        list.innerHTML = `<span class="daily-review-tag-filters-empty">${i18n.t('comments_empty')}</span>`;
+      } else {
+        list.innerHTML = state.items.map((comment) => `
+          <div class="daily-review-comment">
+            <div class="daily-review-comment-date">${utils.formatDate(utils.toTimeMs(comment.createTime, Date.now()))}</div>
+            <div class="daily-review-memo-content">${utils.markdownToHtml(comment.content)}</div>
+          </div>
+        `).join('');
+      }
+      const summary = section.querySelector('summary');
+      if (summary && state.items) {
+        summary.textContent = state.items.length > 0 ? `${i18n.t('comments')} (${state.items.length})` : i18n.t('comments');
+      }
+    },
+
+    setCommentSending(memoName, sending, failed = false) {
+      const section = this.getCommentsSection(memoName);
+      if (!section) return;
+      const input = section.querySelector('.daily-review-comment-input');
+      const button = section.querySelector('.daily-review-comment-form button');
+      if (input) {
+        input.disabled = sending;
+        if (!sending && !failed) input.value = '';
+        if (!sending) input.focus();
+      }
+      if (button) {
+        button.disabled = sending;
+        button.textContent = failed ? i18n.t('comment_failed') : i18n.t('comment_send');
+      }
+    },
+
+    /**
+     * Show a short message with one action (e.g. Undo) at the bottom of the dialog.
+     * A new toast replaces the current one; the action runs at most once.
+     */
+    showToast(message, actionLabel, onAction, durationMs = CONFIG.UNDO_TOAST_MS) {
+      const toast = document.getElementById(this.toastId);
+      if (!toast) return;
+      clearTimeout(this.toastTimer);
+      toast.querySelector('.daily-review-toast-message').textContent = message;
+      const action = toast.querySelector('.daily-review-toast-action');
+      action.textContent = actionLabel || '';
+      action.hidden = !actionLabel;
+      this.toastAction = onAction || null;
+      toast.classList.remove('hidden');
+      this.toastTimer = setTimeout(() => this.hideToast(), durationMs);
+    },
+
+    hideToast() {
+      clearTimeout(this.toastTimer);
+      this.toastTimer = null;
+      this.toastAction = null;
+      const toast = document.getElementById(this.toastId);
+      if (toast) toast.classList.add('hidden');
+    },
+
+    runToastAction() {
+      const action = this.toastAction;
+      this.hideToast();
+      if (action) action();
+    },
+
+    setPeekState(active) {
+      const bar = document.getElementById(this.peekId);
+      if (bar) bar.classList.toggle('hidden', !active);
+    },
+
+    setDeleteBusy(busy) {
+      const del = document.getElementById(this.deleteId);
+      if (del) del.disabled = busy;
+    },
+
+    setSparkLinkState(state) {
+      const button = document.querySelector(`#${this.cardId} [data-spark-link]`);
+      if (!button) return;
+      const labels = { saving: 'saving', done: 'spark_link_done', error: 'spark_link_failed' };
+      button.disabled = state === 'saving' || state === 'done';
+      button.textContent = i18n.t(labels[state] || 'spark_link');
+    },
+
+    setFavoriteState(memoId) {
+      const button = document.getElementById(this.favoriteId);
+      if (!button) return;
+      const favorite = favoriteService.isFavorite(memoId);
+      const label = i18n.t(favorite ? 'favorite_remove' : 'favorite_add');
+      button.disabled = !memoId;
+      button.setAttribute('aria-pressed', String(favorite));
+      button.title = label;
+      button.setAttribute('aria-label', label);
+      button.dataset.tooltipText = label;
+    },
+
+    setGradeState(grade) {
+      const group = document.getElementById(this.gradesId);
+      if (!group) return;
+      group.querySelectorAll('.daily-review-grade-btn').forEach((btn) => {
+        btn.setAttribute('aria-pressed', String(parseInt(btn.dataset.grade, 10) === grade));
+      });
+    },
+
     bindImagePreview() {
       const content = document.getElementById(this.cardId) || document.getElementById(this.deckId);
       if (!content) return;
@@ -3904,7 +7039,17 @@
     deckMemos: [],
     viewedInSession: new Set(),
     currentDeckKey: '',
+    lastPool: null,
+    searchQuery: '',
+    deckBeforeSearch: null,
+    deckBeforePeek: null,
+    pendingDelete: null,
+    commentsCache: new Map(),
+    prefetchPromise: null,
     isSavingEdit: false,
+    editorMode: 'edit',
+    isLinkingSpark: false,
+    isDeleting: false,
     keydownHandler: null,
     loadingTimer: null,
     animationInProgress: false,
@@ -3935,8 +7080,11 @@
           () => this.updateEntryVisibility().catch((error) => console.error('Failed to update entry visibility:', error)));
         cleanupService.register('global', window, 'daily-review-routechange',
           () => this.updateEntryVisibility().catch((error) => console.error('Failed to update entry visibility:', error)));
-        cleanupService.register('global', window, 'focus',
-          () => this.updateEntryVisibility().catch((error) => console.error('Failed to update entry visibility:', error)));
+        cleanupService.register('global', window, 'focus', () => {
+          this.updateEntryVisibility().catch((error) => console.error('Failed to update entry visibility:', error));
+          // Tabs left open overnight warm up the new day's deck when they regain focus.
+          this.schedulePrefetch();
+        });
 
         // Listen for motion preference changes at runtime
         if (typeof window !== 'undefined' && window.matchMedia) {
@@ -3950,9 +7098,11 @@
         // Clean up storage monitor on page unload
         cleanupService.register('global', window, 'beforeunload', () => {
           storageMonitor.stop();
+          this.commitPendingDelete();
         });
 
         this.bindKeyboardShortcuts();
+        this.schedulePrefetch();
       } catch (error) {
         console.error('Failed to initialize Daily Review plugin:', error);
       }
@@ -3998,6 +7148,10 @@
             ui.closeImagePreview();
           } else if (ui.isEditorOpen()) {
             this.closeEditor();
+          } else if (this.deckBeforePeek) {
+            this.closePeek();
+          } else if (this.searchQuery) {
+            this.clearSearch();
           } else {
             this.closeDialog();
           }
@@ -4078,6 +7232,9 @@
         } else if (key === 'ArrowRight') {
           this.next();
           event.preventDefault();
+        } else if (/^[1-4]$/.test(key) && !event.ctrlKey && !event.metaKey && !event.altKey) {
+          this.gradeCurrent(parseInt(key, 10));
+          event.preventDefault();
         }
       };
 
@@ -4108,6 +7265,14 @@
       this.viewedInSession = new Set();
       ui.showDialog();
       try {
+        await dataStore.init();
+        if (syncService.isEnabled()) {
+          // Pull other devices' history first, but never hold the dialog up for long.
+          await Promise.race([
+            syncService.sync(),
+            new Promise((resolve) => setTimeout(resolve, CONFIG.SYNC_OPEN_TIMEOUT_MS))
+          ]);
+        }
         await this.loadDeck();
       } catch (error) {
         console.error('Failed to open dialog:', error);
@@ -4118,6 +7283,9 @@
     closeDialog() {
       if (!this.isOpen) return;
       this.isOpen = false;
+      syncService.flush();
+      this.commitPendingDelete();
+      ui.hideToast();
       ui.closeEditor();
       ui.closeImagePreview();
       ui.hideDialog();
@@ -4161,6 +7329,46 @@
       }
     },
 
+    exportBackup() {
+      const bundle = backupService.build();
+      exportService.download(`daily-review-backup-${utils.getDailySeed()}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+    },
+
+    async importBackup(file, mode = 'merge') {
+      let bundle;
+      try {
+        bundle = JSON.parse(await file.text());
+      } catch (e) {
+        alert(i18n.t('backup_error_parse'));
+        return;
+      }
+      const error = backupService.validate(bundle);
+      if (error) {
+        alert(i18n.t(error));
+        return;
+      }
+      if (mode === 'replace' && !confirm(i18n.t('backup_replace_confirm'))) return;
+
+      const summary = backupService.apply(bundle, mode);
+      alert(i18n.t('backup_import_done').replace('{profiles}', summary.profiles).replace('{items}', summary.items));
+
+      this.lastPool = null;
+      this.deckBatch = batchService.load();
+      this.deckIndex = 0;
+      this.deckMemos = [];
+      this.viewedInSession = new Set();
+      ui.syncSettingsControls();
+      if (ui.getActiveTab() === 'settings') {
+        ui.renderTagFilters();
+      }
+      try {
+        await this.loadDeck(true);
+      } catch (error) {
+        console.error('Failed to reload deck after backup import:', error);
+        ui.setReviewState('error', i18n.t('load_failed'));
+      }
+    },
+
     async onSettingsChanged() {
       // Reset batch to 0 when settings change
       this.deckBatch = 0;
@@ -4176,6 +7384,56 @@
       }
     },
 
+    async switchProfile(profileId) {
+      if (!profileService.setActive(profileId)) {
+        ui.renderProfileSelect();
+        return;
+      }
+      // Each profile keeps its own batch and deck cache, so switching back restores that deck.
+      this.lastPool = null;
+      this.deckBatch = batchService.load();
+      this.deckIndex = 0;
+      this.deckMemos = [];
+      this.viewedInSession = new Set();
+      ui.syncSettingsControls();
+      if (ui.getActiveTab() === 'settings') {
+        ui.renderTagFilters();
+      }
+      try {
+        await this.loadDeck();
+      } catch (error) {
+        console.error('Failed to load deck after profile switch:', error);
+        ui.setReviewState('error', i18n.t('load_failed'));
+      }
+    },
+
+    async createProfile() {
+      const name = prompt(i18n.t('profile_name_prompt'));
+      const id = name ? profileService.create(name) : null;
+      if (!id) {
+        ui.renderProfileSelect();
+        return;
+      }
+      await this.switchProfile(id);
+    },
+
+    renameActiveProfile() {
+      const activeId = profileService.getActiveId();
+      const current = profileService.list().find((p) => p.id === activeId);
+      const name = prompt(i18n.t('profile_name_prompt'), profileService.getDisplayName(current));
+      if (name && profileService.rename(activeId, name)) {
+        ui.renderProfileSelect();
+      }
+    },
+
+    async deleteActiveProfile() {
+      const activeId = profileService.getActiveId();
+      if (activeId === CONFIG.DEFAULT_PROFILE_ID) return;
+      if (!confirm(i18n.t('profile_delete_confirm'))) return;
+      profileService.remove(activeId);
+      await this.switchProfile(CONFIG.DEFAULT_PROFILE_ID);
+    },
+
     async newBatch() {
       const refreshBtn = document.getElementById(ui.refreshId);
       if (refreshBtn) {
@@ -4209,30 +7467,24 @@
       }
     },
 
+    /**
+     * Delete the current memo after an undo window: the card goes away at once, an Undo toast shows
+     * for CONFIG.UNDO_TOAST_MS, and the DELETE is only sent when the window ends or the dialog closes.
+     */
     async deleteCurrent() {
-      if (!this.deckMemos.length) return;
+      if (this.isDeleting || !this.deckMemos.length) return;
       const memo = this.deckMemos[this.deckIndex];
       if (!memo || !memo.name) return;
 
-      if (!confirm(i18n.t('delete_confirm'))) return;
-
-      const delBtn = document.getElementById(ui.deleteId);
-      if (delBtn) {
-        delBtn.disabled = true;
-        // Add loading state to delete button
-        const originalHTML = delBtn.innerHTML;
-        delBtn.innerHTML = `
-          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <circle cx="12" cy="12" r="10" opacity="0.25"></circle>
-            <path d="M12 2 A10 10 0 0 1 22 12" stroke-linecap="round">
-              <animateTransform attributeName="transform" type="rotate" from="0 12 12" to="360 12 12" dur="1s" repeatCount="indefinite"/>
-            </path>
-          </svg>
-        `;
-        delBtn.dataset.originalHTML = originalHTML;
-      }
+      // One undo at a time: an earlier delete still waiting is sent now.
+      this.commitPendingDelete();
+      const target = this.captureRestoreTarget(memo);
 
-      // Add fade-out animation before deletion
+      // The card stays on screen while it fades out; block a second delete of it meanwhile.
+      this.isDeleting = true;
+      ui.setDeleteBusy(true);
+
+      // Add fade-out animation before removing the card
       const cardFront = document.querySelector('.daily-review-card-front');
       const animationDuration = motionUtils.getAnimationDuration(300);
 
@@ -4242,67 +7494,165 @@
 
       // Wait for animation to complete (or skip if no animation)
       await new Promise(resolve => setTimeout(resolve, animationDuration));
+      this.isDeleting = false;
 
-      try {
-        await apiService.deleteMemo(memo.name);
-
-        // Remove from deck
-        this.deckMemos.splice(this.deckIndex, 1);
+      this.removeFromDeck(memo.id);
+      this.removeFromPoolCache(memo.id);
 
-        // Remove from pool cache (best-effort)
-        const settings = settingsService.load();
-        const pool = poolService.load(settings.timeRange);
-        if (pool && Array.isArray(pool)) {
-          const idx = pool.findIndex((m) => m && m.id === memo.id);
-          if (idx >= 0) {
-            pool.splice(idx, 1);
-            poolService.save(settings.timeRange, pool);
+      // Add fade-in animation for new card
+      if (this.deckMemos.length > 0 && motionUtils.shouldAnimate()) {
+        requestAnimationFrame(() => {
+          const newCardFront = document.querySelector('.daily-review-card-front');
+          if (newCardFront) {
+            newCardFront.style.animation = 'daily-review-fade-in 0.3s ease-out forwards';
           }
-        }
+        });
+      }
 
-        // Clear deck cache to ensure deleted memo doesn't appear in future decks
-        deckService.clear();
+      // Never replace a waiting delete without sending it: its timer would end this one's undo window early.
+      this.commitPendingDelete();
+      const pending = { target, timer: setTimeout(() => this.commitPendingDelete(), CONFIG.UNDO_TOAST_MS) };
+      this.pendingDelete = pending;
+      ui.showToast(i18n.t('delete_done'), i18n.t('undo'), () => this.undoDelete(pending));
+    },
 
-        // Restore delete button state after successful deletion
-        if (delBtn) {
-          delBtn.disabled = false;
-          if (delBtn.dataset.originalHTML) {
-            delBtn.innerHTML = delBtn.dataset.originalHTML;
-          }
-        }
+    undoDelete(pending) {
+      if (!pending || this.pendingDelete !== pending) return;
+      clearTimeout(pending.timer);
+      this.pendingDelete = null;
+      this.restoreToDeck(pending.target);
+    },
 
-        if (this.deckMemos.length === 0) {
-          ui.renderDeck([], 0);
-          return;
-        }
+    // Send the waiting DELETE (undo window over, dialog or page closing, or another delete started).
+    async commitPendingDelete() {
+      const pending = this.pendingDelete;
+      if (!pending) return;
+      this.pendingDelete = null;
+      clearTimeout(pending.timer);
+      const { memo, profileId } = pending.target;
+      try {
+        await apiService.deleteMemo(memo.name);
+        favoriteService.remove(memo.id, profileId);
+        // Clear deck cache to ensure deleted memo doesn't appear in future decks
+        deckService.clear(profileId);
+      } catch (e) {
+        console.error('Failed to delete memo:', e);
+        alert(i18n.t('delete_failed'));
+        this.restoreToDeck(pending.target);
+      }
+    },
 
-        // Stay at same index, or step back if we were at the end
-        if (this.deckIndex >= this.deckMemos.length) {
-          this.deckIndex = this.deckMemos.length - 1;
+    // Remove a memo from the cached pool (best-effort).
+    removeFromPoolCache(memoId) {
+      const poolKey = this.getPoolCacheKey(settingsService.load(), utils.getDailySeed());
+      const pool = poolService.loadEntry(poolKey)?.memos;
+      if (pool && Array.isArray(pool)) {
+        const idx = pool.findIndex((m) => m && m.id === memoId);
+        if (idx >= 0) {
+          pool.splice(idx, 1);
+          poolService.save(poolKey, pool);
         }
-        ui.renderDeck(this.deckMemos, this.deckIndex);
+      }
+      const fetched = poolService.loadFetched(poolKey);
+      if (fetched[memoId]) {
+        fetched[memoId] = null;
+        poolService.saveFetched(poolKey, fetched);
+      }
+      if (Array.isArray(this.lastPool)) {
+        this.lastPool = this.lastPool.filter((m) => m && m.id !== memoId);
+      }
+    },
 
-        // Add fade-in animation for new card
-        if (motionUtils.shouldAnimate()) {
-          requestAnimationFrame(() => {
-            const newCardFront = document.querySelector('.daily-review-card-front');
-            if (newCardFront) {
-              newCardFront.style.animation = 'daily-review-fade-in 0.3s ease-out forwards';
-            }
-          });
-        }
+    /**
+     * Archive the current memo (state ARCHIVED) and take it out of the deck and pool caches.
+     * The toast's Undo sets it back to NORMAL and puts it back where it was.
+     */
+    async archiveCurrent() {
+      const memo = this.deckMemos[this.deckIndex];
+      if (!memo || !memo.name) return;
+      this.commitPendingDelete();
+      const target = this.captureRestoreTarget(memo);
+      try {
+        await apiService.updateMemoState(memo.name, 'ARCHIVED');
       } catch (e) {
-        console.error('Failed to delete memo:', e);
-        alert(i18n.t('delete_failed'));
-        if (delBtn) {
-          delBtn.disabled = false;
-          if (delBtn.dataset.originalHTML) {
-            delBtn.innerHTML = delBtn.dataset.originalHTML;
-          }
+        console.error('Failed to archive memo:', e);
+        alert(i18n.t('archive_failed'));
+        return;
+      }
+      this.removeFromPoolCache(memo.id);
+      this.removeFromDeck(memo.id);
+      ui.showToast(i18n.t('archive_done'), i18n.t('undo'),
+        () => this.unarchive(target).catch(err => console.error('Failed to restore memo:', err)));
+    },
+
+    async unarchive(target) {
+      try {
+        await apiService.updateMemoState(target.memo.name, 'NORMAL');
+      } catch (e) {
+        console.error('Failed to restore archived memo:', e);
+        alert(i18n.t('unarchive_failed'));
+        return;
+      }
+      this.restoreToDeck(target);
+    },
+
+    // What the dialog shows: a deck of one profile, possibly with search results or a linked memo on top.
+    getViewKey() {
+      return [
+        profileService.getActiveId(),
+        this.currentDeckKey || '',
+        this.searchQuery || '',
+        this.deckBeforePeek ? this.deckBeforePeek.peekId || '' : ''
+      ].join('|');
+    },
+
+    // Where the current memo is being taken from, so Undo can put it back there later.
+    captureRestoreTarget(memo) {
+      return {
+        memo,
+        index: this.deckIndex,
+        viewKey: this.getViewKey(),
+        profileId: profileService.getActiveId(),
+        deckKey: this.currentDeckKey,
+        poolKey: this.getPoolCacheKey(settingsService.load(), utils.getDailySeed())
+      };
+    },
+
+    /**
+     * Put a memo back into the deck cache and pool it was taken from.
+     * The visible deck only gets it back when it is still showing the same view; after a shuffle,
+     * search, linked memo, profile switch or settings change the memo returns with its own deck.
+     */
+    restoreToDeck(target) {
+      const { memo, index } = target;
+      if (target.deckKey) {
+        const deck = deckService.getDeck(target.deckKey, target.profileId);
+        if (deck && Array.isArray(deck.memos) && !deck.memos.some((m) => m && m.id === memo.id)) {
+          deck.memos.splice(Math.min(Math.max(0, index), deck.memos.length), 0, memo);
+          deck.timestamp = Date.now();
+          deckService.saveDeck(deck, target.profileId);
         }
-        // Re-render to restore the card
-        ui.renderDeck(this.deckMemos, this.deckIndex);
       }
+      const pool = poolService.loadEntry(target.poolKey)?.memos;
+      if (pool && Array.isArray(pool) && !pool.some((m) => m && m.id === memo.id)) {
+        const { yearsAgo, spark, ...poolMemo } = memo;
+        pool.push(poolMemo);
+        poolService.save(target.poolKey, pool);
+      }
+
+      if (this.getViewKey() !== target.viewKey || this.deckMemos.some((m) => m && m.id === memo.id)) return;
+      const at = Math.min(Math.max(0, index), this.deckMemos.length);
+      this.deckMemos.splice(at, 0, memo);
+      this.deckIndex = at;
+      ui.renderDeck(this.deckMemos, this.deckIndex);
+    },
+
+    // Copy deck-level annotations ("years ago", spark pair) from a deck entry onto a refreshed memo.
+    keepDeckAnnotations(memo, entry) {
+      const result = { ...memo };
+      if (typeof entry?.yearsAgo === 'number') result.yearsAgo = entry.yearsAgo;
+      if (entry?.spark) result.spark = entry.spark;
+      return result;
     },
 
     editCurrent() {
@@ -4313,17 +7663,147 @@
         alert(i18n.t('edit_not_supported'));
         return;
       }
+      this.editorMode = 'edit';
       ui.openEditor(memo.content || '');
     },
 
+    reflectCurrent() {
+      const memo = this.deckMemos[this.deckIndex];
+      if (!memo) return;
+      this.editorMode = 'reflect';
+      ui.openEditor(this.buildReflectionDraft(memo), 'reflect');
+    },
+
+    // Quote of the source memo with a link back to it, followed by an empty line to write in.
+    buildReflectionDraft(memo) {
+      const date = utils.formatDate(utils.toTimeMs(memo.createTime, Date.now()));
+      const link = utils.getMemoLink(memo);
+      const quote = utils.getSnippet(memo.content, 200);
+      const lines = quote ? [`> ${quote}`, '>'] : [];
+      lines.push(`> — ${link ? `[${date}](${link})` : date}`);
+      return `${lines.join('\n')}\n\n`;
+    },
+
+    addReflectTag(content) {
+      if (utils.extractTags(content).includes(CONFIG.REFLECT_TAG)) return content;
+      return `${content.trimEnd()}\n\n#${CONFIG.REFLECT_TAG}`;
+    },
+
+    getSaveErrorMessage(e) {
+      const msg = String(e && e.message ? e.message : e);
+      if (msg.includes('401') || msg.includes('Unauthenticated') || msg.includes('authentication')) {
+        return i18n.t('save_failed_auth');
+      }
+      if (msg.includes('403') || msg.includes('PermissionDenied') || msg.includes('permission')) {
+        return i18n.t('save_failed_permission');
+      }
+      return i18n.t('save_failed_retry');
+    },
+
+    // Create the reflection as a new private memo, then reference the source memo when the server supports relations.
+    async saveReflection() {
+      const source = this.deckMemos[this.deckIndex];
+      const text = ui.getEditorValue() || '';
+      if (!text.trim()) {
+        ui.setEditStatus(i18n.t('reflect_empty'), 'error');
+        return;
+      }
+      const content = ui.isReflectTagChecked() ? this.addReflectTag(text) : text;
+
+      this.isSavingEdit = true;
+      ui.setEditorSaving(true);
+      ui.setEditStatus(i18n.t('saving'));
+
+      try {
+        const created = await apiService.createMemo(content);
+        let linked = false;
+        if (created?.name && source?.name) {
+          try {
+            linked = await apiService.setMemoRelations(created.name, [source.name]);
+          } catch (e) {
+            console.warn('Failed to link reflection to its source memo:', e);
+          }
+        }
+        ui.setEditStatus(i18n.t(linked || !source?.name ? 'reflect_saved' : 'reflect_saved_unlinked'), 'success');
+        setTimeout(() => ui.closeEditor(), linked ? 500 : 1500);
+      } catch (e) {
+        console.error('Failed to create reflection memo:', e);
+        ui.setEditStatus(this.getSaveErrorMessage(e), 'error');
+      } finally {
+        this.isSavingEdit = false;
+        ui.setEditorSaving(false);
+      }
+    },
+
     closeEditor() {
       if (this.isSavingEdit) return;
       ui.closeEditor();
     },
 
+    // Put a memo returned by an update into the visible deck, the decks put aside, and the pool and deck caches.
+    applyUpdatedMemo(memo, updated) {
+      const normalized = utils.normalizeMemo(updated);
+      if (!normalized.id) throw new Error('invalid update response');
+
+      // Keep deck-level annotations (e.g. "years ago") on the refreshed memo.
+      const deckEntry = this.keepDeckAnnotations(normalized, memo);
+      const index = this.deckMemos.findIndex((m) => m && m.id === normalized.id);
+      if (index >= 0) this.deckMemos[index] = deckEntry;
+      for (const saved of this.getSavedDecks()) {
+        saved.memos = saved.memos.map((m) => (m && m.id === normalized.id
+          ? this.keepDeckAnnotations(normalized, m)
+          : m));
+      }
+
+      // Update pool cache (best-effort).
+      const poolKey = this.getPoolCacheKey(settingsService.load(), utils.getDailySeed());
+      const pool = poolService.loadEntry(poolKey)?.memos;
+      if (pool && Array.isArray(pool)) {
+        const idx = pool.findIndex((m) => m && m.id === normalized.id);
+        if (idx >= 0) {
+          pool[idx] = normalized;
+          poolService.save(poolKey, pool);
+        }
+      }
+      const fetched = poolService.loadFetched(poolKey);
+      if (fetched[normalized.id]) {
+        fetched[normalized.id] = normalized;
+        poolService.saveFetched(poolKey, fetched);
+      }
+
+      // Update deck cache (best-effort).
+      if (this.currentDeckKey) {
+        const deck = deckService.getDeck(this.currentDeckKey);
+        if (deck && Array.isArray(deck.memos)) {
+          const deckIdx = deck.memos.findIndex((m) => m && m.id === normalized.id);
+          if (deckIdx >= 0) {
+            deck.memos[deckIdx] = deckEntry;
+            deck.timestamp = Date.now();
+            deckService.saveDeck(deck);
+          }
+        }
+      }
+      return deckEntry;
+    },
+
+    async setVisibilityCurrent(visibility) {
+      const memo = this.deckMemos[this.deckIndex];
+      if (!memo || !memo.name || !CONFIG.VISIBILITIES.includes(visibility) || memo.visibility === visibility) return;
+      try {
+        const updated = await apiService.updateMemoVisibility(memo.name, visibility);
+        this.applyUpdatedMemo(memo, updated);
+      } catch (e) {
+        console.error('Failed to change memo visibility:', e);
+        alert(`${i18n.t('visibility_failed')}: ${this.getSaveErrorMessage(e)}`);
+      }
+      // Re-render either way so the select shows the visibility the server has.
+      ui.renderDeck(this.deckMemos, this.deckIndex);
+    },
+
     async saveEditor() {
       if (this.isSavingEdit) return;
       if (!this.deckMemos.length) return;
+      if (this.editorMode === 'reflect') return this.saveReflection();
 
       const memo = this.deckMemos[this.deckIndex];
       if (!memo || !memo.name) return;
@@ -4340,48 +7820,13 @@
 
       try {
         const updated = await apiService.updateMemoContent(memo.name, nextContent || '');
-        const normalized = utils.normalizeMemo(updated);
-        if (!normalized.id) throw new Error('invalid update response');
-
-        this.deckMemos[this.deckIndex] = normalized;
-
-        // Update pool cache (best-effort).
-        const settings = settingsService.load();
-        const pool = poolService.load(settings.timeRange);
-        if (pool && Array.isArray(pool)) {
-          const idx = pool.findIndex((m) => m && m.id === normalized.id);
-          if (idx >= 0) {
-            pool[idx] = normalized;
-            poolService.save(settings.timeRange, pool);
-          }
-        }
-
-        // Update deck cache (best-effort).
-        if (this.currentDeckKey) {
-          const deck = deckService.getDeck(this.currentDeckKey);
-          if (deck && Array.isArray(deck.memos)) {
-            const deckIdx = deck.memos.findIndex((m) => m && m.id === normalized.id);
-            if (deckIdx >= 0) {
-              deck.memos[deckIdx] = normalized;
-              deck.timestamp = Date.now();
-              deckService.saveDeck(deck);
-            }
-          }
-        }
-
+        this.applyUpdatedMemo(memo, updated);
         ui.renderDeck(this.deckMemos, this.deckIndex);
         ui.setEditStatus(i18n.t('save_success') || '✓ Saved', 'success');
         setTimeout(() => ui.closeEditor(), 500);
       } catch (e) {
         console.error('Failed to update memo:', e);
-        const msg = String(e && e.message ? e.message : e);
-        if (msg.includes('401') || msg.includes('Unauthenticated') || msg.includes('authentication')) {
-          ui.setEditStatus(i18n.t('save_failed_auth'), 'error');
-        } else if (msg.includes('403') || msg.includes('PermissionDenied') || msg.includes('permission')) {
-          ui.setEditStatus(i18n.t('save_failed_permission'), 'error');
-        } else {
-          ui.setEditStatus(i18n.t('save_failed_retry'), 'error');
-        }
+        ui.setEditStatus(this.getSaveErrorMessage(e), 'error');
       } finally {
         this.isSavingEdit = false;
         ui.setEditorSaving(false);
@@ -4482,14 +7927,228 @@
       }, animationDuration);
     },
 
-    markViewedCurrent() {
-      const memo = this.deckMemos[this.deckIndex];
-      if (!memo) return;
-      const memoId = memo.id || utils.getMemoId(memo);
-      if (!memoId) return;
-      if (this.viewedInSession.has(memoId)) return;
-      this.viewedInSession.add(memoId);
-      historyService.markViewed(memoId, utils.getDailySeed());
+    // Browsing search results or linked memos isn't a review; history and schedules stay untouched.
+    isBrowsing() {
+      return !!(this.searchQuery || this.deckBeforePeek);
+    },
+
+    markViewedCurrent() {
+      if (this.isBrowsing()) return;
+      const memo = this.deckMemos[this.deckIndex];
+      if (!memo) return;
+      const memoId = memo.id || utils.getMemoId(memo);
+      if (!memoId) return;
+      if (this.viewedInSession.has(memoId)) return;
+      this.viewedInSession.add(memoId);
+      historyService.markViewed(memoId, utils.getDailySeed());
+      syncService.scheduleSync();
+    },
+
+    gradeCurrent(grade) {
+      if (this.isBrowsing()) return;
+      const memo = this.deckMemos[this.deckIndex];
+      if (!memo) return;
+      const memoId = memo.id || utils.getMemoId(memo);
+      if (!memoId) return;
+      const value = schedulerService.normalizeGrade(grade);
+      historyService.markReviewed(memoId, value, utils.getDailySeed());
+      syncService.scheduleSync();
+      ui.setGradeState(value);
+      if (this.deckIndex < this.deckMemos.length - 1) {
+        this.next();
+      }
+    },
+
+    /**
+     * Find memos whose content contains `query`.
+     * Uses the server `content.contains` filter when supported, otherwise matches the cached pool.
+     * A rejected search filter falls back to the pool without touching the list filter capability,
+     * which pool fetches rely on for their time range.
+     */
+    async searchMemos(query) {
+      const matchPool = () => {
+        const pool = this.lastPool || poolService.load(this.getPoolCacheKey(settingsService.load(), utils.getDailySeed())) || [];
+        return pool.filter((memo) => !utils.isSyncMemo(memo) && utils.memoMatchesQuery(memo, query)).slice(0, CONFIG.SEARCH_MAX_RESULTS);
+      };
+      if (!capabilityService.canUseListFilter()) return matchPool();
+
+      const filter = apiService.buildContentSearchFilter(query);
+      const results = [];
+      const seen = new Set();
+      let pageToken = '';
+      let page = 0;
+      do {
+        let result;
+        try {
+          result = await apiService.listMemos(filter, pageToken, { strictFilter: true });
+        } catch (e) {
+          if (/API error: 400\b/.test(e?.message || '')) return matchPool();
+          throw e;
+        }
+        for (const memo of result.memos || []) {
+          const m = utils.normalizeMemo(memo);
+          // Re-check locally in case the server ignored the filter and returned everything.
+          if (!m.id || seen.has(m.id) || utils.isSyncMemo(m) || !utils.memoMatchesQuery(m, query)) continue;
+          seen.add(m.id);
+          results.push(m);
+        }
+        pageToken = result.nextPageToken;
+        page += 1;
+      } while (pageToken && page < CONFIG.SEARCH_MAX_PAGES && results.length < CONFIG.SEARCH_MAX_RESULTS);
+      return results.slice(0, CONFIG.SEARCH_MAX_RESULTS);
+    },
+
+    async search(rawQuery) {
+      const query = String(rawQuery || '').trim();
+      if (!query) {
+        this.clearSearch();
+        return;
+      }
+      this.closePeek(false);
+      if (!this.searchQuery) {
+        this.deckBeforeSearch = { memos: this.deckMemos, index: this.deckIndex };
+      }
+      this.searchQuery = query;
+      ui.setSearchState(query);
+      ui.setReviewState('loading');
+      try {
+        const results = await this.searchMemos(query);
+        if (this.searchQuery !== query) return; // superseded by a newer search or cleared
+        this.deckMemos = results;
+        this.deckIndex = 0;
+        if (results.length === 0) {
+          ui.setReviewState('search-empty', query);
+          return;
+        }
+        ui.renderDeck(this.deckMemos, this.deckIndex);
+      } catch (error) {
+        if (this.searchQuery !== query) return;
+        console.error('Failed to search memos:', error);
+        ui.setReviewState('error', i18n.t('load_failed'));
+      }
+    },
+
+    exportDeck(format = 'markdown') {
+      const memos = this.deckMemos.filter(Boolean);
+      if (memos.length === 0) {
+        alert(i18n.t('export_empty'));
+        return;
+      }
+      const today = utils.getDailySeed();
+      if (format === 'html') {
+        exportService.download(`daily-review-${today}.html`, exportService.buildHtml(memos, today), 'text/html');
+      } else {
+        exportService.download(`daily-review-${today}.md`, exportService.buildMarkdown(memos, today), 'text/markdown');
+      }
+    },
+
+    /**
+     * Show a linked memo as a temporary one-card deck; the deck underneath comes back with closePeek().
+     * Uses the copy already in the deck or pool when there is one, otherwise fetches the memo.
+     */
+    async openLinkedMemo(name) {
+      if (!name) return;
+      const known = [...this.deckMemos, ...(this.deckBeforePeek?.memos || []), ...(this.lastPool || [])]
+        .find((m) => m && (m.name === name || m.id === name));
+      let memo = known ? { ...known, spark: undefined } : null;
+      if (!memo) {
+        try {
+          memo = utils.normalizeMemo(await apiService.getMemo(name));
+        } catch (e) {
+          console.error('Failed to open linked memo:', e);
+          alert(i18n.t('linked_failed'));
+          return;
+        }
+      }
+      if (!this.deckBeforePeek) {
+        this.deckBeforePeek = { memos: this.deckMemos, index: this.deckIndex };
+      }
+      this.deckBeforePeek.peekId = memo.id;
+      this.deckMemos = [memo];
+      this.deckIndex = 0;
+      ui.setPeekState(true);
+      ui.renderDeck(this.deckMemos, this.deckIndex);
+    },
+
+    // Comments are fetched once per memo per session; the cache is updated when a comment is posted.
+    async loadComments(memoName) {
+      if (!memoName) return;
+      const cached = this.commentsCache.get(memoName);
+      if (cached) {
+        ui.renderComments(memoName, { items: cached });
+        return;
+      }
+      ui.renderComments(memoName, { loading: true });
+      try {
+        const items = await apiService.listMemoComments(memoName);
+        if (items === null) {
+          ui.renderComments(memoName, { unsupported: true });
+          return;
+        }
+        this.commentsCache.set(memoName, items);
+        ui.renderComments(memoName, { items });
+      } catch (e) {
+        console.error('Failed to load comments:', e);
+        ui.renderComments(memoName, { error: true });
+      }
+    },
+
+    // New comments use the visibility of the memo they belong to.
+    async postComment(memoName, rawContent) {
+      const content = String(rawContent || '').trim();
+      if (!memoName || !content) return;
+      const memo = this.deckMemos.find((m) => m && m.name === memoName);
+      ui.setCommentSending(memoName, true);
+      try {
+        const comment = await apiService.createMemoComment(memoName, content, memo?.visibility || 'PRIVATE');
+        ui.setCommentSending(memoName, false);
+        const cached = this.commentsCache.get(memoName);
+        if (!cached) {
+          // The thread never loaded; fetch it now so the new comment shows with the others.
+          await this.loadComments(memoName);
+          return;
+        }
+        const items = [...cached, comment];
+        this.commentsCache.set(memoName, items);
+        ui.renderComments(memoName, { items });
+      } catch (e) {
+        console.error('Failed to post comment:', e);
+        ui.setCommentSending(memoName, false, true);
+      }
+    },
+
+    closePeek(render = true) {
+      const saved = this.deckBeforePeek;
+      if (!saved) return;
+      this.deckBeforePeek = null;
+      this.deckMemos = saved.memos;
+      this.deckIndex = saved.index;
+      ui.setPeekState(false);
+      if (!render) return;
+      if (this.deckMemos.length === 0) {
+        ui.setReviewState(this.searchQuery ? 'search-empty' : 'empty', this.searchQuery);
+        return;
+      }
+      ui.renderDeck(this.deckMemos, this.deckIndex);
+    },
+
+    resetSearch() {
+      this.searchQuery = '';
+      this.deckBeforeSearch = null;
+      ui.setSearchState('');
+    },
+
+    clearSearch() {
+      if (!this.searchQuery) {
+        ui.setSearchState('');
+        return;
+      }
+      const saved = this.deckBeforeSearch;
+      this.resetSearch();
+      this.deckMemos = saved ? saved.memos : [];
+      this.deckIndex = saved ? saved.index : 0;
+      ui.renderDeck(this.deckMemos, this.deckIndex);
+      this.markViewedCurrent();
     },
 
     estimateDesiredPoolSize(timeRange, dailyCount) {
@@ -4503,31 +8162,47 @@
         ? Math.floor(desiredPoolSize)
         : this.estimateDesiredPoolSize(timeRange, CONFIG.DEFAULT_COUNT);
       const maxPages = timeRange === 'all' ? CONFIG.POOL_MAX_PAGES_ALL : CONFIG.POOL_MAX_PAGES_SCOPED;
-      const cached = poolService.load(timeRange);
-      if (cached && cached.length > 0) return cached;
+      const incremental = capabilityService.canRefreshPoolIncrementally();
+      const cachedEntry = poolService.loadEntry(timeRange);
+      if (cachedEntry && cachedEntry.memos.length > 0 && Date.now() - cachedEntry.syncedAt <= CONFIG.POOL_TTL_MS) {
+        return cachedEntry.memos;
+      }
 
-      const normalized = [];
-      const seen = new Set();
-      const timeRangeConfig = CONFIG.TIME_RANGES.find((t) => t.value === timeRange);
-      const startTimeMs = timeRangeConfig && timeRangeConfig.days !== null
-        ? Date.now() - (timeRangeConfig.days * 24 * 60 * 60 * 1000)
-        : null;
+      const { startMs, endMs } = utils.getTimeRangeBounds(timeRange);
       const includeMemo = (memo) => {
         if (!memo || !memo.id) return false;
-        if (startTimeMs === null) return true;
+        if (startMs === null && endMs === null) return true;
         const createMs = utils.toTimeMs(memo.createTime, 0);
-        return createMs >= startTimeMs;
+        if (startMs !== null && createMs < startMs) return false;
+        if (endMs !== null && createMs >= endMs) return false;
+        return true;
       };
+
+      // A stale pool only asks for what changed; it is re-paged from scratch once every CONFIG.POOL_MAX_AGE_MS.
+      if (incremental && cachedEntry && cachedEntry.memos.length > 0 && Date.now() - cachedEntry.fullAt <= CONFIG.POOL_MAX_AGE_MS) {
+        try {
+          const refreshed = await this.refreshPoolIncrementally(timeRange, cachedEntry, includeMemo);
+          if (refreshed) return refreshed;
+        } catch (e) {
+          console.warn('Incremental pool refresh failed, refetching the pool:', e);
+        }
+      }
+
+      const normalized = [];
+      const seen = new Set();
       const startedAt = Date.now();
+      const addMemos = (memos) => {
+        for (const memo of memos || []) {
+          const m = utils.normalizeMemo(memo);
+          if (!includeMemo(m)) continue;
+          if (seen.has(m.id)) continue;
+          seen.add(m.id);
+          normalized.push(m);
+        }
+      };
 
       const first = await apiService.fetchMemos(timeRange);
-      for (const memo of first.memos || []) {
-        const m = utils.normalizeMemo(memo);
-        if (!includeMemo(m)) continue;
-        if (seen.has(m.id)) continue;
-        seen.add(m.id);
-        normalized.push(m);
-      }
+      addMemos(first.memos);
 
       let nextPageToken = first.nextPageToken;
       let currentPage = 1;
@@ -4567,56 +8242,320 @@
         }
       }
 
-      poolService.save(timeRange, normalized);
+      // Newest-first paging never reaches the oldest years of a long history; sample the rest by time slices.
+      const oldestMs = normalized.length > 0 ? utils.toTimeMs(normalized[normalized.length - 1].createTime, 0) : 0;
+      const stratumMs = CONFIG.POOL_STRATUM_DAYS * 24 * 60 * 60 * 1000;
+      if (nextPageToken && oldestMs && capabilityService.canUseListFilter()
+        && Date.now() - startedAt < CONFIG.POOL_FETCH_TIME_BUDGET_MS
+        && (startMs === null || oldestMs - startMs > stratumMs)) {
+        try {
+          await this.sampleOlderStrata(startMs, oldestMs, addMemos, startedAt + CONFIG.POOL_FETCH_TIME_BUDGET_MS);
+        } catch (e) {
+          console.warn('Time-sliced pool sampling failed, keeping the paged pool:', e);
+        }
+      }
+
+      poolService.save(timeRange, normalized, { syncedAt: startedAt, fullAt: startedAt });
+      return normalized;
+    },
+
+    /**
+     * Walk back from `beforeMs` one CONFIG.POOL_STRATUM_DAYS slice at a time so every period of a long
+     * history has memos in the pool. A slice that fills a whole page only showed its newest memos, so
+     * it gets another page ending at a random point (seeded per day) in the part not seen yet.
+     * Empty stretches are skipped by jumping to the newest memo older than the slice.
+     * Shares the pool fetch time budget: no request starts after `deadlineMs`.
+     */
+    async sampleOlderStrata(startMs, beforeMs, addMemos, deadlineMs) {
+      const stratumMs = CONFIG.POOL_STRATUM_DAYS * 24 * 60 * 60 * 1000;
+      const lowerMs = startMs === null ? 0 : startMs;
+      const random = utils.mulberry32(utils.stringToSeed(`${utils.getDailySeed()}-strata-${lowerMs}`));
+      const outOfTime = () => Date.now() >= deadlineMs;
+      const listRange = (fromMs, toMs, pageSize) => apiService.listMemos(
+        apiService.buildCreatedRangesFilter([{ startMs: fromMs, endMs: toMs }]),
+        '',
+        { strictFilter: true, pageSize }
+      );
+      // created_ts has second precision; the exclusive upper bound must not drop the oldest memo already seen.
+      let endMs = beforeMs + 1000;
+
+      for (let stratum = 0; stratum < CONFIG.POOL_STRATA_MAX && endMs > lowerMs; stratum++) {
+        if (outOfTime()) break;
+        const sliceStartMs = Math.max(lowerMs, endMs - stratumMs);
+        const memos = (await listRange(sliceStartMs, endMs, CONFIG.POOL_STRATUM_PAGE_SIZE)).memos || [];
+        addMemos(memos);
+
+        if (memos.length >= CONFIG.POOL_STRATUM_PAGE_SIZE) {
+          const unseenEndMs = utils.toTimeMs(memos[memos.length - 1].createTime, endMs);
+          if (unseenEndMs - sliceStartMs > 1000 && !outOfTime()) {
+            const cutMs = sliceStartMs + 1000 + Math.floor(random() * (unseenEndMs - sliceStartMs - 1000));
+            addMemos((await listRange(sliceStartMs, cutMs, CONFIG.POOL_STRATUM_PAGE_SIZE)).memos);
+          }
+        }
+        endMs = sliceStartMs;
+        if (memos.length > 0 || endMs <= lowerMs) continue;
+        if (outOfTime()) break;
+
+        const older = await listRange(lowerMs, endMs, 1);
+        const newestOlder = (older.memos || [])[0];
+        if (!newestOlder) break;
+        endMs = utils.toTimeMs(newestOlder.createTime, 0) + 1000;
+      }
+    },
+
+    // All memos in `state` matching `filter`, or null when there are too many pages to be worth it.
+    async listChangedMemos(filter, state) {
+      const memos = [];
+      let pageToken = '';
+      let page = 0;
+      do {
+        const result = await apiService.listMemos(filter, pageToken, { state, strictFilter: true });
+        memos.push(...(result.memos || []));
+        pageToken = result.nextPageToken;
+        page += 1;
+      } while (pageToken && page < CONFIG.POOL_MAX_PAGES_SCOPED);
+      return pageToken ? null : memos;
+    },
+
+    /**
+     * Bring a cached pool up to date with memos created, edited or archived since it was last synced.
+     * Returns null when a full fetch is the better option (too many changes).
+     * Hard deletes made outside this plugin aren't visible here; they drop out on the next full
+     * fetch, at most CONFIG.POOL_MAX_AGE_MS after the last one.
+     */
+    async refreshPoolIncrementally(timeRange, entry, includeMemo) {
+      const startedAt = Date.now();
+      const sinceTs = Math.floor((entry.syncedAt - CONFIG.POOL_REFRESH_SKEW_MS) / 1000);
+      const rangeFilter = apiService.buildTimeRangeFilter(timeRange);
+      const filter = rangeFilter ? `${rangeFilter} && updated_ts >= ${sinceTs}` : `updated_ts >= ${sinceTs}`;
+
+      let changed;
+      let archived;
+      try {
+        changed = await this.listChangedMemos(filter, 'NORMAL');
+        archived = changed ? await this.listChangedMemos(filter, 'ARCHIVED') : null;
+      } catch (e) {
+        if (/API error: 400\b/.test(e?.message || '')) {
+          capabilityService.markUpdatedFilterSupport(false);
+        }
+        throw e;
+      }
+      if (!changed || !archived) return null;
+      capabilityService.markUpdatedFilterSupport(true);
+
+      const byId = new Map(entry.memos.filter((m) => m && m.id).map((m) => [m.id, m]));
+      for (const memo of archived) {
+        byId.delete(utils.getMemoId(memo));
+      }
+      for (const memo of changed) {
+        const m = utils.normalizeMemo(memo);
+        if (!m.id) continue;
+        if (includeMemo(m)) byId.set(m.id, m);
+        else byId.delete(m.id);
+      }
+      // Relative ranges move forward over time, so re-check memos that were already cached.
+      const memos = Array.from(byId.values())
+        .filter(includeMemo)
+        .sort((a, b) => utils.toTimeMs(b.createTime, 0) - utils.toTimeMs(a.createTime, 0));
+
+      poolService.save(timeRange, memos, { syncedAt: startedAt, fullAt: entry.fullAt });
+      return memos;
+    },
+
+    // Pool cache identifier for the active settings; "On this day" pools are per calendar day.
+    getPoolCacheKey(settings, today) {
+      if (settings.mode === 'onthisday') return `onthisday-${today}-w${settings.onThisDayWindow}`;
+      return settingsService.getTimeRangeKey(settings);
+    },
+
+    // One [startMs, endMs) window around today's month/day for each previous year.
+    getOnThisDayRanges(today, windowDays) {
+      const base = utils.parseLocalDay(today);
+      const ranges = [];
+      for (let yearsAgo = 1; yearsAgo <= CONFIG.ON_THIS_DAY_MAX_YEARS; yearsAgo++) {
+        const start = new Date(base.getFullYear() - yearsAgo, base.getMonth(), base.getDate() - windowDays);
+        const end = new Date(base.getFullYear() - yearsAgo, base.getMonth(), base.getDate() + windowDays + 1);
+        ranges.push({ yearsAgo, startMs: start.getTime(), endMs: end.getTime() });
+      }
+      return ranges;
+    },
+
+    async getOnThisDayPool(today, windowDays) {
+      const poolKey = `onthisday-${today}-w${windowDays}`;
+      const cached = poolService.load(poolKey);
+      if (cached) return cached;
+
+      const ranges = this.getOnThisDayRanges(today, windowDays);
+      // Client-side check mirrors the server filter for servers that ignore it.
+      const includeMemo = (memo) => {
+        if (!memo || !memo.id) return false;
+        const createMs = utils.toTimeMs(memo.createTime, 0);
+        return ranges.some((r) => createMs >= r.startMs && createMs < r.endMs);
+      };
+      const normalized = [];
+      const seen = new Set();
+      const addMemos = (memos) => {
+        for (const memo of memos || []) {
+          const m = utils.normalizeMemo(memo);
+          if (!includeMemo(m) || seen.has(m.id)) continue;
+          seen.add(m.id);
+          normalized.push(m);
+        }
+      };
+      const isRejected = (e) => /API error: 400\b/.test(e?.message || '');
+
+      let filtered = false;
+      if (capabilityService.canUseListFilter()) {
+        try {
+          await this.pageOnThisDayMemos(apiService.buildCreatedRangesFilter(ranges), true, addMemos);
+          filtered = true;
+        } catch (e) {
+          if (!isRejected(e)) throw e;
+        }
+        // The OR'd filter may be too complex for the server; one bounded request per year still reaches old years.
+        if (!filtered) {
+          try {
+            await this.listOnThisDayYears(ranges, addMemos);
+            filtered = true;
+          } catch (e) {
+            if (!isRejected(e)) throw e;
+          }
+        }
+      }
+      // No creation time filter at all: page newest-first and keep what falls inside the windows.
+      if (!filtered) await this.pageOnThisDayMemos('', false, addMemos);
+
+      poolService.save(poolKey, normalized);
       return normalized;
     },
 
-    buildBuckets(pool) {
+    // Page through `filter` within the pool page and time budget; only a failing first page throws.
+    async pageOnThisDayMemos(filter, strictFilter, addMemos) {
+      let pageToken = '';
+      let page = 0;
+      const startedAt = Date.now();
+      do {
+        let result;
+        try {
+          result = await apiService.listMemos(filter, pageToken, { strictFilter });
+        } catch (e) {
+          if (page === 0) throw e;
+          console.warn('Failed to fetch additional memo page for "On this day" pool:', e);
+          break;
+        }
+        addMemos(result.memos);
+        pageToken = result.nextPageToken;
+        page += 1;
+      } while (pageToken && page < CONFIG.POOL_MAX_PAGES_ALL && Date.now() - startedAt < CONFIG.POOL_FETCH_TIME_BUDGET_MS);
+    },
+
+    // One page per yearly window, newest year first; a rejected filter or a failing first request throws.
+    async listOnThisDayYears(ranges, addMemos) {
+      for (let i = 0; i < ranges.length; i++) {
+        let result;
+        try {
+          result = await apiService.listMemos(
+            apiService.buildCreatedRangesFilter([ranges[i]]),
+            '',
+            { strictFilter: true, pageSize: CONFIG.POOL_STRATUM_PAGE_SIZE }
+          );
+        } catch (e) {
+          if (i === 0 || /API error: 400\b/.test(e?.message || '')) throw e;
+          console.warn('Failed to fetch a year for "On this day" pool:', e);
+          break;
+        }
+        addMemos(result.memos);
+      }
+    },
+
+    // "On this day" deck: spread picks across years, then group them newest year first.
+    buildOnThisDayDeck(pool, settings, today, batch) {
+      const eligible = this.filterEligible(pool, settings);
+      if (eligible.length === 0) return [];
+
+      const history = historyService.load();
+      const seedPrefix = `${today}-onthisday-${settings.count}-${batch}`;
+      // A window can cross New Year, so the label comes from the window a memo falls in, not its calendar year.
+      const ranges = this.getOnThisDayRanges(today, settings.onThisDayWindow ?? CONFIG.DEFAULT_ON_THIS_DAY_WINDOW);
+      const byYear = new Map();
+      for (const memo of eligible) {
+        const createMs = utils.toTimeMs(memo.createTime, 0);
+        if (!createMs) continue;
+        const range = ranges.find((r) => createMs >= r.startMs && createMs < r.endMs);
+        if (!range) continue;
+        const { yearsAgo } = range;
+        if (!byYear.has(yearsAgo)) byYear.set(yearsAgo, []);
+        byYear.get(yearsAgo).push(memo);
+      }
+
+      const years = Array.from(byYear.keys()).sort((a, b) => a - b);
+      const queues = years.map((yearsAgo) => this.scoreByReviewPriority(byYear.get(yearsAgo), history, today, `${seedPrefix}-${yearsAgo}`)
+        .map((item) => ({ ...item.memo, yearsAgo })));
+      const picked = this.interleave(queues).slice(0, settings.count);
+
+      return picked.sort((a, b) => (a.yearsAgo - b.yearsAgo)
+        || (utils.toTimeMs(a.createTime, 0) - utils.toTimeMs(b.createTime, 0)));
+    },
+
+    // Split the pool by age into `buckets` (oldest first, see settingsService.normalizeBuckets).
+    buildBuckets(pool, buckets = settingsService.getDefaultBuckets()) {
       const nowMs = Date.now();
       const dayMs = 24 * 60 * 60 * 1000;
-      const oldest = [];
-      const middle = [];
-      const newest = [];
+      const groups = buckets.map(() => []);
       for (const memo of pool || []) {
         const createMs = utils.toTimeMs(memo?.createTime, 0);
         const ageDays = Math.floor((nowMs - createMs) / dayMs);
-        if (ageDays > CONFIG.BUCKET_MIDDLE_DAYS) {
-          oldest.push(memo);
-        } else if (ageDays > CONFIG.BUCKET_NEWEST_DAYS) {
-          middle.push(memo);
-        } else {
-          newest.push(memo);
-        }
+        let index = buckets.findIndex((bucket) => ageDays >= bucket.minAgeDays);
+        if (index === -1) index = buckets.length - 1;
+        groups[index].push(memo);
       }
-      return [oldest, middle, newest];
-    },
-
-    allocateTargets(count) {
-      const base = Math.floor(count / 3);
-      const rem = count % 3;
-      const targets = [base, base, base];
-      for (let i = 0; i < rem; i++) {
-        targets[i] += 1;
+      return groups;
+    },
+
+    // Split `count` by weight (largest remainder); ties go to the earlier, older bucket.
+    allocateTargets(count, weights = [1, 1, 1]) {
+      const total = weights.reduce((sum, w) => sum + w, 0);
+      if (total <= 0) return weights.map(() => 0);
+      const exact = weights.map((w) => (count * w) / total);
+      const targets = exact.map((value) => Math.floor(value));
+      let remaining = count - targets.reduce((sum, t) => sum + t, 0);
+      const order = exact
+        .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+        .sort((a, b) => (b.fraction - a.fraction) || (a.index - b.index));
+      for (const { index } of order) {
+        if (remaining <= 0) break;
+        targets[index] += 1;
+        remaining -= 1;
       }
       return targets;
     },
 
+    // Seed label per bucket; the built-in names keep default decks identical to earlier versions.
+    getBucketSeedLabels(buckets) {
+      if (settingsService.isDefaultBuckets(buckets)) return ['oldest', 'middle', 'newest'];
+      return buckets.map((b) => `age${b.minAgeDays}`);
+    },
+
     scoreByReviewPriority(candidates, history, today, seedPrefix) {
       // Optimized: Calculate daysSince once and sort once per bucket.
       const scored = (candidates || [])
-        .filter((memo) => memo && memo.id)
+        .filter((memo) => memo && memo.id && !historyService.isHidden(history, memo.id, today))
         .map((memo) => {
           const entry = history.items[memo.id];
           const shownCount = entry?.shownCount || 0;
           const daysSince = historyService.getDaysSinceShown(history, memo.id, today);
           const never = !entry || !entry.lastShownDay;
+          // Explicit recall grades stretch or shrink the effective gap: forgotten memos
+          // resurface sooner, "easy" ones later. Glanced-at memos keep the plain gap.
+          const gradeFactor = CONFIG.GRADE_PRIORITY_FACTORS[entry?.lastGrade] || 1;
+          const priorityDays = daysSince * gradeFactor;
           const tie = utils.stringToSeed(`${seedPrefix}-${memo.id}`);
-          return { memo, never, daysSince, shownCount, tie };
+          return { memo, never, daysSince, priorityDays, shownCount, tie };
         });
 
       scored.sort((a, b) => {
         if (a.never !== b.never) return a.never ? -1 : 1;
-        if (a.daysSince !== b.daysSince) return b.daysSince - a.daysSince;
+        if (a.priorityDays !== b.priorityDays) return b.priorityDays - a.priorityDays;
         if (a.shownCount !== b.shownCount) return a.shownCount - b.shownCount;
         return a.tie - b.tie;
       });
@@ -4711,12 +8650,48 @@
       return result;
     },
 
+    /**
+     * Pick a "spark pair": two far-apart memos with overlapping ideas (content similarity),
+     * falling back to the oldest and newest memo sharing a tag. Both returned memos carry a
+     * `spark` annotation ({ reason: 'similar' | 'tag', terms, partnerId, partnerTime }) so the
+     * card can show the badge and the pair side by side.
+     */
     findSparkPair(pool, history, today, seedPrefix) {
+      const candidates = (pool || []).filter((memo) => memo?.id
+        && !historyService.isHidden(history, memo.id, today)
+        && historyService.getDaysSinceShown(history, memo.id, today) >= CONFIG.NO_REPEAT_DAYS);
+      return this.findSimilarSparkPair(candidates, seedPrefix) || this.findTagSparkPair(candidates, seedPrefix);
+    },
+
+    annotateSparkPair(older, newer, reason, terms) {
+      return [
+        { ...older, spark: { reason, terms, partnerId: newer.id, partnerTime: newer.createTime } },
+        { ...newer, spark: { reason, terms, partnerId: older.id, partnerTime: older.createTime } }
+      ];
+    },
+
+    findSimilarSparkPair(candidates, seedPrefix) {
+      if (candidates.length < 2) return null;
+      // Spread the sample evenly over time so large pools stay fast without losing old memos.
+      const sorted = [...candidates].sort((a, b) => utils.toTimeMs(a.createTime, 0) - utils.toTimeMs(b.createTime, 0));
+      const step = Math.max(1, sorted.length / CONFIG.SPARK_MAX_MEMOS);
+      const offset = step > 1 ? utils.stringToSeed(`${seedPrefix}-spark-sample`) % Math.floor(step) : 0;
+      const sample = [];
+      for (let i = offset; i < sorted.length && sample.length < CONFIG.SPARK_MAX_MEMOS; i += step) {
+        sample.push(sorted[Math.floor(i)]);
+      }
+
+      const pairs = similarityService.findSimilarPairs(sample);
+      if (pairs.length === 0) return null;
+      const chosen = pairs
+        .map((pair) => ({ pair, tie: utils.stringToSeed(`${seedPrefix}-spark-${pair.a.id}-${pair.b.id}`) }))
+        .sort((x, y) => x.tie - y.tie)[0].pair;
+      return this.annotateSparkPair(chosen.a, chosen.b, 'similar', chosen.terms);
+    },
+
+    findTagSparkPair(candidates, seedPrefix) {
       const tagMap = new Map();
-      for (const memo of pool) {
-        if (!memo?.id) continue;
-        const daysSince = historyService.getDaysSinceShown(history, memo.id, today);
-        if (daysSince < CONFIG.NO_REPEAT_DAYS) continue;
+      for (const memo of candidates) {
         const tags = Array.isArray(memo.tags) ? memo.tags : [];
         for (const tag of tags) {
           if (!tag) continue;
@@ -4725,7 +8700,7 @@
         }
       }
 
-      const candidates = [];
+      const pairs = [];
       for (const [tag, memos] of tagMap.entries()) {
         if (memos.length < 2) continue;
         // Optimized: Find min/max in O(n) instead of sorting in O(n log n)
@@ -4746,56 +8721,262 @@
         }
         if (!oldest || !newest || oldest.id === newest.id) continue;
         const tie = utils.stringToSeed(`${seedPrefix}-tag-${tag}`);
-        candidates.push({ tag, oldest, newest, tie });
+        pairs.push({ tag, oldest, newest, tie });
+      }
+
+      if (pairs.length === 0) return null;
+      pairs.sort((a, b) => a.tie - b.tie);
+      return this.annotateSparkPair(pairs[0].oldest, pairs[0].newest, 'tag', [pairs[0].tag]);
+    },
+
+    filterEligible(pool, settings) {
+      const visibility = CONFIG.VISIBILITIES.includes(settings?.visibilityFilter) ? settings.visibilityFilter : '';
+      const eligible = (pool || []).filter((m) => m && m.id && !utils.isSyncMemo(m)
+        && ((m.content || '').trim() !== '' || (m.attachments || []).length > 0)
+        && (!visibility || m.visibility === visibility));
+      return this.applyTagFilters(eligible, settings);
+    },
+
+    applyTagFilters(memos, settings) {
+      const include = settingsService.normalizeTagList(settings?.includeTags);
+      const exclude = settingsService.normalizeTagList(settings?.excludeTags);
+      if (include.length === 0 && exclude.length === 0) return memos;
+      return memos.filter((memo) => {
+        const tags = Array.isArray(memo.tags) ? memo.tags : [];
+        if (exclude.some((f) => tags.some((tag) => utils.tagMatches(tag, f)))) return false;
+        if (include.length === 0) return true;
+        return include.some((f) => tags.some((tag) => utils.tagMatches(tag, f)));
+      });
+    },
+
+    // Tags seen across the cached pool, most frequent first, plus any active filter tags.
+    getAvailableTags(settings) {
+      const pool = this.lastPool || poolService.load(this.getPoolCacheKey(settings, utils.getDailySeed())) || [];
+      const counts = new Map();
+      for (const memo of pool) {
+        const tags = Array.isArray(memo?.tags) ? memo.tags : utils.extractTags(memo?.content || '');
+        for (const tag of tags) {
+          if (!tag) continue;
+          counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+      }
+      const tags = Array.from(counts.entries())
+        .sort((a, b) => (b[1] - a[1]) || a[0].localeCompare(b[0]))
+        .slice(0, CONFIG.TAG_FILTER_MAX_TAGS)
+        .map(([tag]) => tag);
+      for (const tag of [...settings.includeTags, ...settings.excludeTags]) {
+        if (!tags.includes(tag)) tags.push(tag);
+      }
+      return tags;
+    },
+
+    setBuckets(buckets) {
+      const settings = settingsService.load();
+      const next = settingsService.normalizeBuckets(buckets);
+      if (JSON.stringify(next) === JSON.stringify(settings.buckets)) {
+        ui.renderBucketEditor();
+        return;
+      }
+      settings.buckets = next;
+      settingsService.save(settings);
+      ui.renderBucketEditor();
+      this.onSettingsChanged().catch(err => console.error('Settings change failed:', err));
+    },
+
+    // Add a bucket one year older than the current oldest boundary.
+    addBucket() {
+      const buckets = settingsService.getBuckets(settingsService.load());
+      if (buckets.length >= CONFIG.BUCKETS_MAX) return;
+      const oldest = buckets[0].minAgeDays;
+      this.setBuckets([{ minAgeDays: Math.min(oldest + 365, CONFIG.BUCKET_AGE_MAX_DAYS), weight: 1 }, ...buckets]);
+    },
+
+    // Snooze the current memo until `untilDay` (YYYY-MM-DD, exclusive) and drop it from today's deck.
+    snoozeCurrent(untilDay) {
+      const memo = this.deckMemos[this.deckIndex];
+      if (!memo || !memo.id || !utils.isDayString(untilDay)) return;
+      historyService.snooze(memo.id, untilDay);
+      this.removeFromDeck(memo.id);
+      syncService.scheduleSync();
+    },
+
+    excludeCurrent() {
+      const memo = this.deckMemos[this.deckIndex];
+      if (!memo || !memo.id) return;
+      historyService.exclude(memo.id);
+      this.removeFromDeck(memo.id);
+      syncService.scheduleSync();
+    },
+
+    restoreMemo(memoId) {
+      if (!memoId) return;
+      historyService.restore(memoId);
+      ui.renderHiddenMemos();
+      syncService.scheduleSync();
+    },
+
+    // Decks put aside while showing search results or a linked memo.
+    getSavedDecks() {
+      return [this.deckBeforeSearch, this.deckBeforePeek].filter(Boolean);
+    },
+
+    dropFromSavedDecks(memoId) {
+      for (const saved of this.getSavedDecks()) {
+        saved.memos = saved.memos.filter((m) => m && m.id !== memoId);
+        saved.index = Math.min(saved.index, Math.max(0, saved.memos.length - 1));
+      }
+    },
+
+    // Remove a memo from the visible deck, the decks put aside and the cached deck.
+    removeFromDeck(memoId) {
+      this.deckMemos = this.deckMemos.filter((m) => m && m.id !== memoId);
+      this.dropFromSavedDecks(memoId);
+      if (this.currentDeckKey) {
+        const deck = deckService.getDeck(this.currentDeckKey);
+        if (deck && Array.isArray(deck.memos) && deck.memos.some((m) => m && m.id === memoId)) {
+          deck.memos = deck.memos.filter((m) => m && m.id !== memoId);
+          deck.timestamp = Date.now();
+          deckService.saveDeck(deck);
+        }
+      }
+
+      if (this.deckMemos.length === 0) {
+        ui.renderDeck([], 0);
+        return;
+      }
+      if (this.deckIndex >= this.deckMemos.length) {
+        this.deckIndex = this.deckMemos.length - 1;
+      }
+      ui.renderDeck(this.deckMemos, this.deckIndex);
+      this.markViewedCurrent();
+    },
+
+    toggleFavoriteCurrent() {
+      const memo = this.deckMemos[this.deckIndex];
+      if (!memo || !memo.id) return;
+      favoriteService.toggle(memo.id);
+      ui.setFavoriteState(memo.id);
+    },
+
+    getSparkPartnerIndex() {
+      const partnerId = this.deckMemos[this.deckIndex]?.spark?.partnerId;
+      return partnerId ? this.deckMemos.findIndex((m) => m && m.id === partnerId) : -1;
+    },
+
+    showSparkPartner() {
+      const partnerIndex = this.getSparkPartnerIndex();
+      if (partnerIndex < 0) return;
+      if (partnerIndex === this.deckIndex - 1) return this.prev();
+      if (partnerIndex === this.deckIndex + 1) return this.next();
+      this.deckIndex = partnerIndex;
+      ui.renderDeck(this.deckMemos, this.deckIndex);
+      this.markViewedCurrent();
+    },
+
+    // Markdown for a new memo linking both halves of a spark pair (older first).
+    buildSparkLinkContent(memo, partner) {
+      const [older, newer] = utils.toTimeMs(memo.createTime, 0) <= utils.toTimeMs(partner.createTime, 0)
+        ? [memo, partner]
+        : [partner, memo];
+      const spark = memo.spark || {};
+      const terms = Array.isArray(spark.terms) ? spark.terms : [];
+      const heading = spark.reason === 'tag'
+        ? i18n.t('spark_badge_tag').replace('{tag}', terms[0] || '')
+        : i18n.t('spark_badge_similar').replace('{terms}', terms.join(', '));
+      const line = (m) => {
+        const date = utils.formatDate(utils.toTimeMs(m.createTime, Date.now()));
+        const link = utils.getMemoLink(m);
+        const label = link ? `[${date}](${link})` : date;
+        return `- ${label} ${utils.getSnippet(m.content, 120)}`.trimEnd();
+      };
+      return [`✦ ${heading}`, '', line(older), line(newer), ''].join('\n');
+    },
+
+    async linkSparkPair() {
+      if (this.isLinkingSpark) return;
+      const memo = this.deckMemos[this.deckIndex];
+      const partner = this.deckMemos[this.getSparkPartnerIndex()];
+      if (!memo || !partner) return;
+
+      this.isLinkingSpark = true;
+      ui.setSparkLinkState('saving');
+      try {
+        await apiService.createMemo(this.buildSparkLinkContent(memo, partner));
+        ui.setSparkLinkState('done');
+      } catch (e) {
+        console.error('Failed to create spark link memo:', e);
+        ui.setSparkLinkState('error');
+      } finally {
+        this.isLinkingSpark = false;
+      }
+    },
+
+    toggleTagFilter(tag) {
+      if (!tag) return;
+      const settings = settingsService.load();
+      const included = settings.includeTags.includes(tag);
+      const excluded = settings.excludeTags.includes(tag);
+      settings.includeTags = settings.includeTags.filter((t) => t !== tag);
+      settings.excludeTags = settings.excludeTags.filter((t) => t !== tag);
+      // Cycle: any -> include -> exclude -> any
+      if (!included && !excluded) {
+        settings.includeTags.push(tag);
+      } else if (included) {
+        settings.excludeTags.push(tag);
       }
+      settingsService.save(settings);
+      ui.renderTagFilters();
+      this.onSettingsChanged().catch(err => console.error('Settings change failed:', err));
+    },
 
-      if (candidates.length === 0) return null;
-      candidates.sort((a, b) => a.tie - b.tie);
-      return [candidates[0].oldest, candidates[0].newest];
+    clearTagFilters() {
+      const settings = settingsService.load();
+      if (settings.includeTags.length === 0 && settings.excludeTags.length === 0) return;
+      settings.includeTags = [];
+      settings.excludeTags = [];
+      settingsService.save(settings);
+      ui.renderTagFilters();
+      this.onSettingsChanged().catch(err => console.error('Settings change failed:', err));
     },
 
     buildDeckFromPool(pool, settings, today, batch) {
-      const eligible = (pool || []).filter((m) => m && m.id && ((m.content || '').trim() !== '' || (m.attachments || []).length > 0));
+      const eligible = this.filterEligible(pool, settings);
       if (eligible.length === 0) return [];
 
       const history = historyService.load();
-      const seedPrefix = `${today}-${settings.timeRange}-${settings.count}-${batch}`;
+      const seedPrefix = `${today}-${settingsService.getTimeRangeKey(settings)}-${settings.count}-${batch}`;
+
+      // Favourites claim their slots first; buckets fill the rest.
+      const favorites = this.pickFavorites(eligible, settings, history, today, seedPrefix);
+      const favoriteIds = new Set(favorites.map((m) => m.id));
+      const rest = favoriteIds.size > 0 ? eligible.filter((m) => !favoriteIds.has(m.id)) : eligible;
+      const target = settings.count - favorites.length;
 
-      const [oldest, middle, newest] = this.buildBuckets(eligible);
-      const targets = this.allocateTargets(settings.count);
+      const buckets = settingsService.getBuckets(settings);
+      const groups = this.buildBuckets(rest, buckets);
+      const targets = this.allocateTargets(target, buckets.map((b) => b.weight));
+      const labels = this.getBucketSeedLabels(buckets);
 
-      const selectedOldest = this.pickFromBucket(oldest, targets[0], history, today, `${seedPrefix}-oldest`);
-      const selectedMiddle = this.pickFromBucket(middle, targets[1], history, today, `${seedPrefix}-middle`);
-      const selectedNewest = this.pickFromBucket(newest, targets[2], history, today, `${seedPrefix}-newest`);
+      const selected = groups.map((group, i) => this.pickFromBucket(group, targets[i], history, today, `${seedPrefix}-${labels[i]}`));
 
-      let deck = this.interleave([selectedOldest, selectedMiddle, selectedNewest]);
+      let deck = this.interleave(selected);
 
-      // Add one "spark pair" (tag collision) if possible.
-      const spark = this.findSparkPair(eligible, history, today, seedPrefix);
+      // Add one "spark pair" if possible, as two adjacent cards (older first) so they read together.
+      // Bucket picks of the same memos are replaced by the annotated copies. Both halves must fit in
+      // what favourites left over, or the slice below would cut the partner off.
+      const spark = target >= 2 ? this.findSparkPair(rest, history, today, seedPrefix) : null;
       if (spark) {
-        const [a, b] = spark;
-        const positions = deck.length >= 8 ? [2, 5] : [1, Math.max(2, deck.length - 1)];
-        const insert = (pos, memo) => {
-          if (!memo) return;
-          if (deck.some((m) => m.id === memo.id)) return;
-          deck.splice(Math.min(pos, deck.length), 0, memo);
-        };
-        insert(positions[0], a);
-        insert(positions[1], b);
-        const seen = new Set();
-        deck = deck.filter((m) => {
-          if (!m?.id) return false;
-          if (seen.has(m.id)) return false;
-          seen.add(m.id);
-          return true;
-        });
+        const pairIds = new Set(spark.map((m) => m.id));
+        deck = deck.filter((m) => m?.id && !pairIds.has(m.id));
+        const pos = Math.min(deck.length >= 8 ? 2 : 1, deck.length, target - 2);
+        deck.splice(pos, 0, ...spark);
       }
 
-      if (deck.length < settings.count) {
+      if (deck.length < target) {
         const seen = new Set(deck.filter((m) => m?.id).map((m) => m.id));
-        const fallback = this.scoreByReviewPriority(eligible, history, today, `${seedPrefix}-fill`);
+        const fallback = this.scoreByReviewPriority(rest, history, today, `${seedPrefix}-fill`);
         for (const item of fallback) {
-          if (deck.length >= settings.count) break;
+          if (deck.length >= target) break;
           const memo = item.memo;
           if (!memo?.id) continue;
           if (seen.has(memo.id)) continue;
@@ -4804,13 +8985,195 @@
         }
       }
 
-      return deck.slice(0, settings.count);
+      deck = deck.slice(0, target);
+      // Spread favourites evenly through the deck rather than stacking them up front.
+      favorites.forEach((memo, i) => {
+        let pos = Math.min(Math.floor(((i + 0.5) * (deck.length + favorites.length)) / favorites.length), deck.length);
+        // Never split a spark pair.
+        if (pos > 0 && pos < deck.length && deck[pos - 1]?.spark?.partnerId === deck[pos]?.id) pos += 1;
+        deck.splice(pos, 0, memo);
+      });
+      return deck;
+    },
+
+    /**
+     * Favourites that get a guaranteed slot: with the 'deck' cadence the least recently shown one,
+     * otherwise every favourite not shown within the cadence, capped at CONFIG.FAVORITES_MAX_SHARE of the deck.
+     */
+    pickFavorites(eligible, settings, history, today, seedPrefix) {
+      const ids = new Set(favoriteService.list());
+      if (ids.size === 0 || settings.count <= 0) return [];
+      const candidates = eligible.filter((m) => ids.has(m.id));
+      if (candidates.length === 0) return [];
+
+      const scored = this.scoreByReviewPriority(candidates, history, today, `${seedPrefix}-favorites`);
+      const cadence = settings.favoriteCadence || CONFIG.DEFAULT_FAVORITE_CADENCE;
+      if (cadence === 'deck') return scored.slice(0, 1).map((item) => item.memo);
+
+      const days = parseInt(cadence, 10);
+      const limit = Math.max(1, Math.floor(settings.count * CONFIG.FAVORITES_MAX_SHARE));
+      return scored.filter((item) => item.daysSince >= days).slice(0, limit).map((item) => item.memo);
+    },
+
+    /**
+     * Append the memos in `ids` that the pool doesn't contain (outside the time range or not sampled),
+     * fetched one by one and cached with the pool until its next full fetch. Archived and deleted memos
+     * are cached as null; `onNotFound` runs for deleted ones. Other failures are retried on the next load.
+     */
+    async addMissingMemos(pool, poolKey, ids, fetchMax, onNotFound) {
+      const known = new Set(pool.map((m) => m && m.id));
+      const cached = poolService.loadFetched(poolKey);
+      const wanted = ids.filter((id) => !known.has(id));
+      const missing = wanted
+        .filter((id) => !Object.prototype.hasOwnProperty.call(cached, id))
+        .slice(0, fetchMax);
+
+      if (missing.length > 0) {
+        await Promise.all(missing.map(async (name) => {
+          try {
+            const memo = await apiService.getMemo(name);
+            cached[name] = memo && memo.state !== 'ARCHIVED' ? utils.normalizeMemo(memo) : null;
+          } catch (e) {
+            if (!/API error: 404\b/.test(e?.message || '')) return;
+            cached[name] = null;
+            if (onNotFound) onNotFound(name);
+          }
+        }));
+        poolService.saveFetched(poolKey, cached);
+      }
+      return [...pool, ...wanted.map((id) => cached[id]).filter((m) => m && m.id)];
+    },
+
+    // Favourites keep their slots even when the pool doesn't hold them; deleted favourites are forgotten.
+    async addMissingFavorites(pool, poolKey) {
+      return this.addMissingMemos(pool, poolKey, favoriteService.list(), CONFIG.FAVORITES_FETCH_MAX, (id) => favoriteService.remove(id));
+    },
+
+    // The pool is a sample, so memos due for review may be missing from it; fetch the most overdue ones.
+    async addMissingDueMemos(pool, poolKey, today) {
+      const history = historyService.load();
+      const due = Object.keys(history.items)
+        .map((id) => ({ id, overdue: schedulerService.getOverdueDays(history, id, today) }))
+        .filter((item) => item.overdue !== null && item.overdue >= 0 && !historyService.isHidden(history, item.id, today))
+        .sort((a, b) => b.overdue - a.overdue)
+        .map((item) => item.id);
+      return this.addMissingMemos(pool, poolKey, due, CONFIG.DUE_FETCH_MAX);
+    },
+
+    // Spaced-repetition deck: overdue memos first (most overdue wins), then unscheduled memos
+    // via the regular mix. Memos scheduled for a later day stay out until they are due.
+    buildDueDeckFromPool(pool, settings, today, batch) {
+      const eligible = this.filterEligible(pool, settings);
+      if (eligible.length === 0) return [];
+
+      const history = historyService.load();
+      const seedPrefix = `${today}-${settingsService.getTimeRangeKey(settings)}-${settings.count}-${batch}-due`;
+      const due = eligible
+        .map((memo) => ({
+          memo,
+          overdue: schedulerService.getOverdueDays(history, memo.id, today),
+          tie: utils.stringToSeed(`${seedPrefix}-${memo.id}`)
+        }))
+        .filter((item) => item.overdue !== null && item.overdue >= 0 && !historyService.isHidden(history, item.memo.id, today))
+        .sort((a, b) => (b.overdue - a.overdue) || (a.tie - b.tie))
+        .slice(0, settings.count)
+        .map((item) => item.memo);
+
+      const remaining = settings.count - due.length;
+      if (remaining <= 0) return due;
+
+      const unscheduled = eligible.filter((m) => !historyService.getDueDay(history, m.id));
+      const fill = this.buildDeckFromPool(unscheduled, { ...settings, count: remaining }, today, batch);
+      return [...due, ...fill];
+    },
+
+    async loadPoolForSettings(settings, today) {
+      if (settings.mode === 'onthisday') {
+        return await this.getOnThisDayPool(today, settings.onThisDayWindow);
+      }
+      const timeRange = settingsService.getTimeRangeKey(settings);
+      const desiredPoolSize = this.estimateDesiredPoolSize(timeRange, settings.count);
+      const pool = await this.addMissingFavorites(await this.getPoolMemos(timeRange, desiredPoolSize), timeRange);
+      return settings.mode === 'spaced' ? await this.addMissingDueMemos(pool, timeRange, today) : pool;
+    },
+
+    buildDeckForSettings(pool, settings, today, batch) {
+      if (settings.mode === 'spaced') return this.buildDueDeckFromPool(pool, settings, today, batch);
+      if (settings.mode === 'onthisday') return this.buildOnThisDayDeck(pool, settings, today, batch);
+      return this.buildDeckFromPool(pool, settings, today, batch);
+    },
+
+    getDeckKey(settings, today, batch) {
+      return deckService.makeKey(today, settingsService.getTimeRangeKey(settings), settings.count, batch, settingsService.getDeckVariant(settings));
+    },
+
+    // Fetch the pool, build the deck and cache it. Returns null when no memo qualifies.
+    async generateDeck(settings, today, batch, key) {
+      const pool = await this.loadPoolForSettings(settings, today);
+      this.lastPool = pool;
+      const deckMemos = this.buildDeckForSettings(pool, settings, today, batch);
+      if (deckMemos.length === 0) return null;
+
+      const deck = {
+        schemaVersion: CONFIG.DECK_SCHEMA_VERSION,
+        key,
+        day: today,
+        timeRange: settingsService.getTimeRangeKey(settings),
+        count: settings.count,
+        mode: settings.mode,
+        batch,
+        memos: deckMemos,
+        timestamp: Date.now()
+      };
+      deckService.saveDeck(deck);
+      return deck;
+    },
+
+    // Warm the pool and today's deck when the browser is idle, so opening the dialog is instant.
+    schedulePrefetch() {
+      const run = () => {
+        this.prefetch().catch((error) => console.warn('[DailyReview] Prefetch failed:', error));
+      };
+      if (typeof window.requestIdleCallback === 'function') {
+        window.requestIdleCallback(run, { timeout: CONFIG.PREFETCH_IDLE_TIMEOUT_MS });
+      } else {
+        setTimeout(run, CONFIG.PREFETCH_FALLBACK_DELAY_MS);
+      }
+    },
+
+    async prefetch() {
+      if (this.isOpen || this.prefetchPromise) return false;
+      if (ui.isAuthRoute() || !networkUtils.isOnline()) return false;
+
+      this.prefetchPromise = (async () => {
+        await dataStore.init();
+        const settings = settingsService.load();
+        const today = utils.getDailySeed();
+        const batch = batchService.load();
+        const key = this.getDeckKey(settings, today, batch);
+        if (deckService.isValid(deckService.getDeck(key), key)) return false;
+        if (!(await authService.isAuthenticated())) return false;
+        if (syncService.isEnabled()) await syncService.sync();
+        return !!(await this.generateDeck(settings, today, batch, key));
+      })();
+
+      try {
+        return await this.prefetchPromise;
+      } finally {
+        this.prefetchPromise = null;
+      }
     },
 
     async loadDeck(forceRegenerate = false) {
+      this.resetSearch();
+      this.closePeek(false);
+      if (this.prefetchPromise) {
+        // Let an in-flight prefetch finish and reuse its deck instead of fetching twice.
+        await this.prefetchPromise.catch(() => {});
+      }
       const settings = settingsService.load();
       const today = utils.getDailySeed();
-      const key = deckService.makeKey(today, settings.timeRange, settings.count, this.deckBatch);
+      const key = this.getDeckKey(settings, today, this.deckBatch);
       this.currentDeckKey = key;
 
       // Clear any pending loading timer
@@ -4837,9 +9200,7 @@
       }, 200);
 
       try {
-        const desiredPoolSize = this.estimateDesiredPoolSize(settings.timeRange, settings.count);
-        const pool = await this.getPoolMemos(settings.timeRange, desiredPoolSize);
-        const deckMemos = this.buildDeckFromPool(pool, settings, today, this.deckBatch);
+        const deck = await this.generateDeck(settings, today, this.deckBatch, key);
 
         // Clear loading timer if still pending
         if (this.loadingTimer) {
@@ -4847,24 +9208,12 @@
           this.loadingTimer = null;
         }
 
-        if (deckMemos.length === 0) {
+        if (!deck) {
           ui.setReviewState('empty');
           return;
         }
 
-        const deck = {
-          schemaVersion: CONFIG.DECK_SCHEMA_VERSION,
-          key,
-          day: today,
-          timeRange: settings.timeRange,
-          count: settings.count,
-          batch: this.deckBatch,
-          memos: deckMemos,
-          timestamp: Date.now()
-        };
-        deckService.saveDeck(deck);
-
-        this.deckMemos = deckMemos;
+        this.deckMemos = deck.memos;
         this.deckIndex = 0;
         ui.renderDeck(this.deckMemos, this.deckIndex);
         this.markViewedCurrent();
@@ -4907,8 +9256,21 @@
       CONFIG,
       utils,
       historyService,
+      schedulerService,
+      similarityService,
+      settingsService,
+      profileService,
+      batchService,
+      favoriteService,
+      deckService,
       poolService,
+      exportService,
+      backupService,
+      syncService,
+      dataStore,
       apiService,
+      authService,
+      ui,
       controller,
       capabilityService,
       storageUtils
@@ -4922,6 +9284,9 @@
   // Initialize network utils
   networkUtils.init();
 
+  // Open IndexedDB (and migrate localStorage data) in the background
+  dataStore.init();
+
   // Wait for DOM to be ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
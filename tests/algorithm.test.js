@@ -178,6 +178,38 @@ test('buildBuckets should use time-boundary buckets instead of equal-size split'
   assert.deepEqual([...newIds].sort(), ['m1', 'm2', 'm3']);
 });
 
+test('custom buckets should split decks by weight and change the deck key', () => {
+  const fixedNow = Date.parse('2026-02-23T00:00:00Z');
+  const hooks = loadHooks(fixedNow);
+  const { controller, settingsService } = hooks;
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  assert.deepEqual([...settingsService.normalizeBuckets(settingsService.getDefaultBuckets())], []);
+  assert.deepEqual([...settingsService.normalizeBuckets([{ minAgeDays: 0, weight: 0 }])], []);
+  const buckets = settingsService.normalizeBuckets([
+    { minAgeDays: 0, weight: 1 },
+    { minAgeDays: 731, weight: 3 },
+    { minAgeDays: 'x', weight: 5 }
+  ]);
+  assert.equal(JSON.stringify(buckets), JSON.stringify([{ minAgeDays: 731, weight: 3 }, { minAgeDays: 0, weight: 1 }]));
+  assert.deepEqual([...controller.allocateTargets(8, [3, 1])], [6, 2]);
+  assert.deepEqual([...controller.allocateTargets(8, [1, 1, 1])], [3, 3, 2]);
+  assert.deepEqual([...controller.allocateTargets(5, [0, 1])], [0, 5]);
+
+  const pool = [];
+  for (let i = 0; i < 10; i++) {
+    pool.push(createMemo(`old-${i}`, new Date(fixedNow - (800 + i) * dayMs).toISOString()));
+    pool.push(createMemo(`new-${i}`, new Date(fixedNow - (10 + i) * dayMs).toISOString()));
+  }
+  const settings = { timeRange: 'all', count: 8, includeTags: [], excludeTags: [], buckets };
+  const deck = controller.buildDeckFromPool(pool, settings, '2026-02-23', 0);
+  assert.equal(deck.length, 8);
+  assert.equal(deck.filter((m) => m.id.startsWith('old-')).length, 6);
+
+  assert.equal(settingsService.getDeckVariant({ mode: 'mix', includeTags: [], excludeTags: [], buckets }), 'b:731x3,0x1');
+  assert.equal(settingsService.getDeckVariant({ mode: 'mix', includeTags: [], excludeTags: [], buckets: [] }), '');
+});
+
 test('getPoolMemos should keep fetching pages until desired pool size is reached', async () => {
   const hooks = loadHooks();
   hooks.poolService.load = () => null;
@@ -310,3 +342,1389 @@ test('pickFromBucket should avoid dense same-tag picks when diversity penalty is
   assert.equal(picked[0].id, 'a1');
   assert.equal(picked[1].id, 'b1');
 });
+
+test('schedulerService.review should grow intervals on recall and reset them on lapse', () => {
+  const hooks = loadHooks();
+  const { schedulerService } = hooks;
+  const today = '2026-02-23';
+
+  const first = schedulerService.review({}, 3, today);
+  assert.equal(first.interval, 1);
+  assert.equal(first.dueDay, '2026-02-24');
+
+  const second = schedulerService.review(first, 3, '2026-02-24');
+  assert.equal(second.interval, 6);
+  assert.equal(second.dueDay, '2026-03-02');
+
+  const third = schedulerService.review(second, 3, '2026-03-02');
+  assert.equal(third.interval, Math.round(6 * second.ease));
+
+  const lapse = schedulerService.review(third, 1, '2026-03-20');
+  assert.equal(lapse.interval, 1);
+  assert.equal(lapse.reps, 0);
+  assert.equal(lapse.lapses, 1);
+  assert.ok(lapse.ease < third.ease);
+  assert.ok(lapse.ease >= hooks.CONFIG.SRS_MIN_EASE);
+});
+
+test('buildDueDeckFromPool should put overdue memos first and skip memos not yet due', () => {
+  const hooks = loadHooks();
+  const today = '2026-02-23';
+  const settings = { timeRange: 'all', count: 4, mode: 'spaced' };
+  const pool = [];
+  for (let i = 0; i < 6; i++) {
+    pool.push(createMemo(`m${i}`, '2025-06-01T00:00:00Z'));
+  }
+  hooks.historyService.save({
+    items: {
+      m0: { lastShownDay: '2026-02-20', shownCount: 1, dueDay: '2026-02-22' },
+      m1: { lastShownDay: '2026-02-01', shownCount: 2, dueDay: '2026-02-10' },
+      m2: { lastShownDay: '2026-02-22', shownCount: 1, dueDay: '2026-03-10' }
+    }
+  });
+  hooks.controller.findSparkPair = () => null;
+
+  const deck = hooks.controller.buildDueDeckFromPool(pool, settings, today, 0);
+  const ids = deck.map((m) => m.id);
+  assert.deepEqual([...ids.slice(0, 2)], ['m1', 'm0']);
+  assert.equal(deck.length, 4);
+  assert.ok(!ids.includes('m2'));
+});
+
+test('spaced mode should fetch due memos the sampled pool is missing', async () => {
+  const hooks = loadHooks();
+  const { controller, historyService, apiService } = hooks;
+  const today = '2026-02-23';
+  const settings = { ...hooks.settingsService.load(), timeRange: 'all', count: 4, mode: 'spaced' };
+  const pool = [];
+  for (let i = 0; i < 6; i++) {
+    pool.push({ ...createMemo(`m${i}`, '2025-06-01T00:00:00Z'), id: `memos/m${i}` });
+  }
+  historyService.save({
+    items: {
+      'memos/m0': { lastShownDay: '2026-02-20', shownCount: 1, dueDay: '2026-02-22' },
+      'memos/old': { lastShownDay: '2025-01-01', shownCount: 4, dueDay: '2026-01-15' },
+      'memos/later': { lastShownDay: '2025-01-01', shownCount: 4, dueDay: '2026-05-01' }
+    }
+  });
+  controller.getPoolMemos = async () => pool;
+  controller.findSparkPair = () => null;
+  const fetched = [];
+  apiService.getMemo = async (name) => {
+    fetched.push(name);
+    return createMemo('old', '2012-03-04T00:00:00Z');
+  };
+
+  const loaded = await controller.loadPoolForSettings(settings, today);
+  assert.deepEqual(fetched, ['memos/old']);
+  const deck = controller.buildDueDeckFromPool(loaded, settings, today, 0);
+  assert.deepEqual([...deck.slice(0, 2).map((m) => m.id)], ['memos/old', 'memos/m0']);
+
+  await controller.loadPoolForSettings({ ...settings, mode: 'mix' }, today);
+  assert.equal(fetched.length, 1, 'other modes do not fetch due memos');
+});
+
+test('markReviewed should replace a same-day grade and grades should shift review priority', () => {
+  const hooks = loadHooks();
+  const today = '2026-02-23';
+
+  hooks.historyService.markReviewed('m1', 4, today);
+  hooks.historyService.markReviewed('m1', 1, today);
+  let history = hooks.historyService.load();
+  assert.equal(history.items.m1.lastGrade, 1);
+  assert.equal(history.items.m1.reps, 0);
+  assert.equal(history.items.m1.lapses, 1);
+  assert.equal(history.items.m1.gradeCount, 1);
+
+  hooks.historyService.save({
+    items: {
+      forgot: { lastShownDay: '2026-02-13', shownCount: 1, lastGrade: 1 },
+      glanced: { lastShownDay: '2026-02-08', shownCount: 1 },
+      easy: { lastShownDay: '2026-01-28', shownCount: 1, lastGrade: 4 }
+    }
+  });
+  history = hooks.historyService.load();
+  const candidates = ['easy', 'glanced', 'forgot'].map((id) => createMemo(id, '2025-06-01T00:00:00Z'));
+  const order = hooks.controller.scoreByReviewPriority(candidates, history, today, 'seed').map((item) => item.memo.id);
+  assert.deepEqual([...order], ['forgot', 'glanced', 'easy']);
+});
+
+test('previousSchedule snapshots should be dropped once their review day has passed', () => {
+  const hooks = loadHooks();
+  const { historyService, utils } = hooks;
+  const today = utils.getDailySeed();
+  historyService.save({
+    items: {
+      old: { lastShownDay: '2026-02-10', lastReviewDay: '2026-02-10', interval: 3, previousSchedule: { interval: 1 } }
+    }
+  });
+  historyService.markReviewed('fresh', 3, today);
+  const items = historyService.load().items;
+  assert.equal(items.old.previousSchedule, undefined);
+  assert.equal(items.old.interval, 3);
+  assert.ok(items.fresh.previousSchedule, 'today\'s snapshot is kept for re-grading');
+});
+
+test('historyService.prune should keep scheduled entries however long ago they were shown', () => {
+  const hooks = loadHooks();
+  const { historyService, CONFIG } = hooks;
+  const items = {
+    scheduled: { lastShownDay: '2024-01-01', shownCount: 6, interval: 400, ease: 2.6, reps: 6, dueDay: '2027-02-04' },
+    stale: { lastShownDay: '2024-01-02', shownCount: 1 }
+  };
+  for (let i = 0; i < CONFIG.HISTORY_SOFT_LIMIT; i++) {
+    items[`m${i}`] = { lastShownDay: '2026-02-01', shownCount: 1 };
+  }
+
+  const pruned = historyService.prune({ items });
+  assert.equal(Object.keys(pruned.items).length, CONFIG.HISTORY_CLEANUP_TARGET);
+  assert.equal(pruned.items.scheduled.dueDay, '2027-02-04');
+  assert.equal(pruned.items.stale, undefined);
+});
+
+test('buildDeckFromPool should honour include/exclude tag filters including nested tags', () => {
+  const hooks = loadHooks();
+  const today = '2026-02-23';
+  const tagged = (id, tags) => ({ ...createMemo(id, '2026-01-01T00:00:00Z'), tags });
+  const pool = [
+    tagged('j1', ['journal']),
+    tagged('j2', ['journal', 'todo']),
+    tagged('w1', ['work/projectA']),
+    tagged('w2', ['work']),
+    tagged('n1', [])
+  ];
+
+  const includeDeck = hooks.controller.buildDeckFromPool(pool, { timeRange: 'all', count: 8, includeTags: ['journal', 'work'], excludeTags: ['todo'] }, today, 0);
+  assert.deepEqual([...includeDeck.map((m) => m.id)].sort(), ['j1', 'w1', 'w2']);
+
+  const excludeDeck = hooks.controller.buildDeckFromPool(pool, { timeRange: 'all', count: 8, includeTags: [], excludeTags: ['work'] }, today, 0);
+  assert.deepEqual([...excludeDeck.map((m) => m.id)].sort(), ['j1', 'j2', 'n1']);
+
+  const variant = hooks.settingsService.getDeckVariant({ mode: 'mix', includeTags: ['work', 'journal'], excludeTags: ['todo'] });
+  assert.equal(variant, 'in:journal,work-ex:todo');
+  assert.equal(hooks.settingsService.getDeckVariant({ mode: 'mix', includeTags: [], excludeTags: [] }), '');
+});
+
+test('profiles should keep settings, history and deck caches independent', () => {
+  const hooks = loadHooks();
+  const { profileService, settingsService, historyService, deckService, CONFIG } = hooks;
+
+  settingsService.save({ ...settingsService.load(), count: 12 });
+  historyService.markViewed('memo-a', '2026-02-23');
+  deckService.saveDeck({ key: 'default-deck', memos: [], timestamp: 1 });
+
+  const id = profileService.create('Reading notes');
+  assert.equal(profileService.getActiveId(), id);
+  assert.equal(settingsService.load().count, CONFIG.DEFAULT_COUNT);
+  assert.equal(historyService.load().items['memo-a'], undefined);
+  assert.equal(deckService.getDeck('default-deck'), null);
+
+  historyService.markViewed('memo-b', '2026-02-23');
+  assert.ok(profileService.setActive(CONFIG.DEFAULT_PROFILE_ID));
+  assert.equal(settingsService.load().count, 12);
+  assert.ok(historyService.load().items['memo-a']);
+  assert.equal(historyService.load().items['memo-b'], undefined);
+  assert.ok(deckService.getDeck('default-deck'));
+
+  assert.ok(profileService.remove(id));
+  assert.equal(hooks.__context.localStorage.getItem(`${CONFIG.HISTORY_KEY}:${id}`), null);
+  assert.equal(profileService.remove(CONFIG.DEFAULT_PROFILE_ID), false);
+});
+
+test('buildOnThisDayDeck should group picks by year and annotate yearsAgo', () => {
+  const hooks = loadHooks();
+  const today = '2026-02-23';
+  const pool = [
+    createMemo('y1-a', '2025-02-22T09:00:00'),
+    createMemo('y1-b', '2025-02-24T09:00:00'),
+    createMemo('y3-a', '2023-02-23T09:00:00'),
+    createMemo('y2-a', '2024-02-21T09:00:00')
+  ];
+
+  const deck = hooks.controller.buildOnThisDayDeck(pool, { mode: 'onthisday', count: 3, includeTags: [], excludeTags: [] }, today, 0);
+  assert.equal(deck.length, 3);
+  assert.deepEqual([...deck.map((m) => m.yearsAgo)], [1, 2, 3]);
+  assert.ok(deck[0].id.startsWith('y1-'));
+});
+
+test('buildOnThisDayDeck should label memos by their window when it crosses New Year', () => {
+  const hooks = loadHooks();
+  const settings = { mode: 'onthisday', count: 4, onThisDayWindow: 7, includeTags: [], excludeTags: [] };
+
+  const december = hooks.controller.buildOnThisDayDeck([
+    createMemo('jan', '2025-01-05T09:00:00'),
+    createMemo('dec', '2024-12-27T09:00:00')
+  ], settings, '2025-12-30', 0);
+  assert.deepEqual([...december.map((m) => `${m.id}:${m.yearsAgo}`)], ['dec:1', 'jan:1']);
+
+  const january = hooks.controller.buildOnThisDayDeck([
+    createMemo('dec-1', '2024-12-28T09:00:00'),
+    createMemo('dec-2', '2023-12-30T09:00:00')
+  ], settings, '2026-01-02', 0);
+  assert.deepEqual([...january.map((m) => `${m.id}:${m.yearsAgo}`)], ['dec-1:1', 'dec-2:2']);
+});
+
+test('getOnThisDayPool should keep only memos inside the yearly windows', async () => {
+  const hooks = loadHooks();
+  const filters = [];
+  hooks.apiService.listMemos = async (filter) => {
+    filters.push(filter);
+    return {
+      memos: [
+        createMemo('inside', '2024-02-24T12:00:00'),
+        createMemo('outside', '2024-03-10T12:00:00'),
+        createMemo('this-year', '2026-02-23T08:00:00')
+      ],
+      nextPageToken: ''
+    };
+  };
+
+  const pool = await hooks.controller.getOnThisDayPool('2026-02-23', 1);
+  assert.deepEqual([...pool.map((m) => m.id)], ['memos/inside']);
+  assert.match(filters[0], /created_ts >= \d+ && created_ts < \d+\) \|\| \(/);
+});
+
+test('getOnThisDayPool should ask for each year when the combined filter is rejected', async () => {
+  const hooks = loadHooks();
+  const { utils, controller, capabilityService } = hooks;
+  const requests = [];
+  utils.fetchWithTimeout = async (url) => {
+    const filter = new URL(url, 'https://example.com').searchParams.get('filter') || '';
+    requests.push(filter);
+    if (filter.includes('||')) return createResponse(400, null, 'filter too complex');
+    const startTs = Number(filter.match(/created_ts >= (\d+)/)?.[1] || 0);
+    const endTs = Number(filter.match(/created_ts < (\d+)/)?.[1] || 0);
+    const old = createMemo('old', '2011-02-23T12:00:00');
+    const oldTs = Date.parse(old.createTime) / 1000;
+    return createResponse(200, { memos: oldTs >= startTs && oldTs < endTs ? [old] : [], nextPageToken: '' });
+  };
+
+  const pool = await controller.getOnThisDayPool('2026-02-23', 1);
+  assert.deepEqual([...pool.map((m) => m.id)], ['memos/old']);
+  assert.equal(requests.length, 21);
+  assert.ok(requests.every((filter) => filter.startsWith('(created_ts')));
+  assert.equal(capabilityService.canUseListFilter(), true);
+});
+
+test('custom date ranges should filter by both bounds and get their own pool cache entry', async () => {
+  const hooks = loadHooks();
+  const { apiService, controller, settingsService, poolService, capabilityService } = hooks;
+  const key = settingsService.getTimeRangeKey({ timeRange: 'custom', customStart: '2024-03-01', customEnd: '2024-06-30' });
+  assert.equal(key, 'custom:2024-03-01:2024-06-30');
+
+  const filter = apiService.buildTimeRangeFilter(key);
+  assert.match(filter, /^created_ts >= \d+ && created_ts < \d+$/);
+
+  poolService.save('6months', [createMemo('preset', '2026-01-01T00:00:00Z')]);
+  capabilityService.markListFilterSupport(false);
+  apiService.listMemos = async () => ({
+    memos: [
+      createMemo('before', '2024-02-29T12:00:00'),
+      createMemo('inside', '2024-06-30T23:00:00'),
+      createMemo('after', '2024-07-01T00:00:00')
+    ],
+    nextPageToken: ''
+  });
+
+  const pool = await controller.getPoolMemos(key, 10);
+  assert.deepEqual([...pool.map((m) => m.id)], ['memos/inside']);
+  assert.equal(poolService.load(key).length, 1);
+  assert.equal(poolService.load('6months').length, 1);
+});
+
+test('searchMemos should use content.contains and fall back to the cached pool', async () => {
+  const hooks = loadHooks();
+  const { apiService, controller, capabilityService } = hooks;
+  assert.equal(apiService.buildContentSearchFilter('say "hi"'), 'content.contains("say \\"hi\\"")');
+
+  const filters = [];
+  apiService.listMemos = async (filter) => {
+    filters.push(filter);
+    return { memos: [{ ...createMemo('server-hit', '2026-01-01T00:00:00Z'), content: 'garden notes' }], nextPageToken: '' };
+  };
+  const serverResults = await controller.searchMemos('garden');
+  assert.deepEqual([...serverResults.map((m) => m.id)], ['memos/server-hit']);
+  assert.deepEqual(filters, ['content.contains("garden")']);
+
+  capabilityService.markListFilterSupport(false);
+  controller.lastPool = [
+    { ...createMemo('a', '2026-01-01T00:00:00Z'), id: 'a', content: 'Notes on the Garden layout' },
+    { ...createMemo('b', '2026-01-02T00:00:00Z'), id: 'b', content: 'unrelated' }
+  ];
+  const fallback = await controller.searchMemos('garden');
+  assert.deepEqual([...fallback.map((m) => m.id)], ['a']);
+  assert.equal(filters.length, 1);
+});
+
+test('searchMemos should fall back to the pool on a rejected filter without disabling list filters', async () => {
+  const hooks = loadHooks();
+  const { apiService, controller, capabilityService, utils } = hooks;
+  controller.lastPool = [{ ...createMemo('a', '2026-01-01T00:00:00Z'), id: 'a', content: 'garden plan' }];
+
+  const requests = [];
+  utils.fetchWithTimeout = async (url) => {
+    requests.push(url);
+    return createResponse(400, null, 'unknown function contains');
+  };
+  const fallback = await controller.searchMemos('garden');
+  assert.deepEqual([...fallback.map((m) => m.id)], ['a']);
+  assert.equal(requests.length, 1);
+  assert.equal(capabilityService.canUseListFilter(), true);
+
+  // A server that ignores the filter returns everything; only real matches are kept.
+  apiService.listMemos = async () => ({
+    memos: [
+      { ...createMemo('hit', '2026-01-01T00:00:00Z'), content: 'Garden beds' },
+      { ...createMemo('miss', '2026-01-02T00:00:00Z'), content: 'groceries' }
+    ],
+    nextPageToken: ''
+  });
+  const results = await controller.searchMemos('garden');
+  assert.deepEqual([...results.map((m) => m.id)], ['memos/hit']);
+});
+
+test('grading should leave history alone while browsing search results or a linked memo', () => {
+  const hooks = loadHooks();
+  const { controller, historyService } = hooks;
+  controller.deckMemos = [createMemo('m1', '2025-06-01T00:00:00Z')];
+  controller.deckIndex = 0;
+
+  controller.searchQuery = 'garden';
+  controller.gradeCurrent(4);
+  controller.searchQuery = '';
+  controller.deckBeforePeek = { memos: [], index: 0 };
+  controller.gradeCurrent(4);
+  assert.equal(historyService.load().items.m1, undefined);
+
+  controller.deckBeforePeek = null;
+  controller.gradeCurrent(4);
+  assert.equal(historyService.load().items.m1.lastGrade, 4);
+});
+
+test('exportService should serialise memos with tags, content and attachment links', () => {
+  const hooks = loadHooks();
+  const memo = {
+    ...createMemo('exp', '2026-02-20T08:30:00Z'),
+    content: '# Idea\nGrow **tomatoes** #garden',
+    tags: ['garden'],
+    attachments: [{ name: 'attachments/1', filename: 'plot.png', type: 'image/png' }]
+  };
+
+  const markdown = hooks.exportService.buildMarkdown([memo], '2026-02-23');
+  assert.match(markdown, /2026-02-23/);
+  assert.match(markdown, /#garden/);
+  assert.match(markdown, /Grow \*\*tomatoes\*\*/);
+  assert.match(markdown, /\[plot\.png\]\(<https:\/\/example\.com\/file\/attachments\/1\/plot\.png>\)/);
+
+  // No DOM in this context: stand in for the DOM-backed escaping/rendering helpers.
+  hooks.utils.escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+  hooks.utils.markdownToHtml = (text) => `<p>${text.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')}</p>`;
+  const html = hooks.exportService.buildHtml([memo], '2026-02-23');
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<strong>tomatoes<\/strong>/);
+  assert.match(html, /href="https:\/\/example\.com\/file\/attachments\/1\/plot\.png"/);
+});
+
+test('exportService Markdown should escape attachment labels and keep URLs intact', () => {
+  const hooks = loadHooks();
+  const memo = {
+    ...createMemo('exp', '2026-02-20T08:30:00Z'),
+    attachments: [
+      { filename: 'notes [draft].pdf', externalLink: 'https://files.example.org/a (1).pdf' },
+      { filename: 'evil', externalLink: 'javascript:alert(1)' }
+    ]
+  };
+
+  const markdown = hooks.exportService.buildMarkdown([memo], '2026-02-23');
+  assert.ok(markdown.includes('- [notes \\[draft\\].pdf](<https://files.example.org/a%20(1).pdf>)'));
+  assert.ok(markdown.includes('- evil (javascript:alert(1))'));
+  assert.doesNotMatch(markdown, /\]\(<?javascript:/);
+});
+
+test('exportService HTML should not link unsafe attachment URLs', () => {
+  const hooks = loadHooks();
+  const memo = {
+    ...createMemo('exp', '2026-02-20T08:30:00Z'),
+    attachments: [
+      { filename: 'evil', externalLink: 'javascript:alert(1)' },
+      { filename: 'doc.pdf', externalLink: 'https://files.example.org/doc.pdf' }
+    ]
+  };
+
+  hooks.utils.escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+  hooks.utils.markdownToHtml = (text) => `<p>${text}</p>`;
+  const html = hooks.exportService.buildHtml([memo], '2026-02-23');
+  assert.doesNotMatch(html, /href="javascript:/);
+  assert.match(html, /<li>evil \(javascript:alert\(1\)\)<\/li>/);
+  assert.match(html, /href="https:\/\/files\.example\.org\/doc\.pdf"/);
+});
+
+test('backupService should validate bundles and merge or replace history', () => {
+  const source = loadHooks();
+  source.settingsService.save({ ...source.settingsService.load(), count: 16 });
+  source.historyService.markViewed('memos/a', '2026-02-01');
+  source.historyService.markViewed('memos/b', '2026-02-20');
+  const bundle = JSON.parse(JSON.stringify(source.backupService.build()));
+
+  const target = loadHooks();
+  const { backupService, historyService, settingsService } = target;
+  assert.equal(backupService.validate(bundle), '');
+  assert.equal(backupService.validate({ ...bundle, format: 'other' }), 'backup_error_format');
+  assert.equal(backupService.validate({ ...bundle, schemaVersion: 99 }), 'backup_error_version');
+  const badId = JSON.parse(JSON.stringify(bundle));
+  badId.data.default.history.items['bad id!'] = { lastShownDay: '2026-02-01' };
+  assert.equal(backupService.validate(badId), 'backup_error_invalid');
+
+  settingsService.save({ ...settingsService.load(), count: 4 });
+  historyService.markViewed('memos/a', '2026-02-10');
+  historyService.markViewed('memos/c', '2026-02-05');
+  const merged = backupService.apply(bundle, 'merge');
+  assert.deepEqual({ ...merged }, { profiles: 1, items: 2 });
+  let items = historyService.load().items;
+  assert.equal(items['memos/a'].lastShownDay, '2026-02-10');
+  assert.equal(items['memos/b'].lastShownDay, '2026-02-20');
+  assert.ok(items['memos/c']);
+  assert.equal(settingsService.load().count, 4);
+
+  backupService.apply(bundle, 'replace');
+  items = historyService.load().items;
+  assert.equal(items['memos/a'].lastShownDay, '2026-02-01');
+  assert.equal(items['memos/c'], undefined);
+  assert.equal(settingsService.load().count, 16);
+});
+
+test('backupService replace should reset profiles the bundle has no data for', () => {
+  const hooks = loadHooks();
+  const { backupService, profileService, historyService, favoriteService, settingsService, CONFIG } = hooks;
+  const workId = profileService.create('Work');
+  settingsService.save({ ...settingsService.load(), count: 20 });
+  historyService.markViewed('memos/w', '2026-02-10');
+  favoriteService.toggle('memos/w');
+  profileService.setActive(CONFIG.DEFAULT_PROFILE_ID);
+  settingsService.save({ ...settingsService.load(), count: 16 });
+
+  const bundle = JSON.parse(JSON.stringify(backupService.build()));
+  delete bundle.data[workId];
+  bundle.data.default.settings = null;
+  assert.equal(backupService.validate(bundle), '');
+  backupService.apply(bundle, 'replace');
+
+  const defaults = settingsService.getDefaults();
+  assert.equal(settingsService.load().count, defaults.count);
+  profileService.setActive(workId);
+  assert.deepEqual(Object.keys(historyService.load().items), []);
+  assert.deepEqual([...favoriteService.list()], []);
+  assert.equal(settingsService.load().count, defaults.count);
+});
+
+test('syncService should merge history across devices through the sync memo', async () => {
+  const server = { memos: new Map(), created: 0 };
+  const connect = (hooks) => {
+    hooks.settingsService.save({ ...hooks.settingsService.load(), syncHistory: true });
+    hooks.apiService.listMemos = async () => ({ memos: [...server.memos.values()], nextPageToken: '' });
+    hooks.apiService.getMemo = async (name) => {
+      if (!server.memos.has(name)) throw new Error('API error: 404');
+      return server.memos.get(name);
+    };
+    hooks.apiService.createMemo = async (content) => {
+      server.created += 1;
+      const memo = { name: `memos/sync${server.created}`, content };
+      server.memos.set(memo.name, memo);
+      return memo;
+    };
+    hooks.apiService.updateMemoContent = async (name, content) => {
+      server.memos.set(name, { name, content });
+      return server.memos.get(name);
+    };
+    return hooks;
+  };
+
+  const laptop = connect(loadHooks(Date.parse('2026-02-23T08:00:00Z')));
+  const phone = connect(loadHooks(Date.parse('2026-02-23T09:00:00Z')));
+
+  laptop.historyService.markViewed('memos/a', '2026-02-23');
+  assert.equal(await laptop.syncService.sync(), true);
+  assert.equal(server.created, 1);
+
+  phone.historyService.markViewed('memos/b', '2026-02-23');
+  assert.equal(await phone.syncService.sync(), true);
+  assert.equal(server.created, 1);
+  assert.deepEqual(Object.keys(phone.historyService.load().items).sort(), ['memos/a', 'memos/b']);
+
+  assert.equal(await laptop.syncService.sync(), true);
+  assert.ok(laptop.historyService.load().items['memos/b']);
+  assert.equal(laptop.utils.isSyncMemo({ tags: ['daily-review-sync'] }), true);
+
+  const offline = connect(loadHooks());
+  offline.apiService.listMemos = async () => { throw new Error('API error: 404'); };
+  offline.historyService.markViewed('memos/c', '2026-02-23');
+  assert.equal(await offline.syncService.sync(), false);
+  assert.equal(offline.capabilityService.canSyncHistory(), false);
+  assert.ok(offline.historyService.load().items['memos/c']);
+});
+
+test('syncService should treat a rejected tag filter as sync unsupported without disabling list filters', async () => {
+  const hooks = loadHooks();
+  const { settingsService, capabilityService, historyService, syncService, utils } = hooks;
+  settingsService.save({ ...settingsService.load(), syncHistory: true });
+  utils.fetchWithTimeout = async () => createResponse(400, null, 'unknown identifier tag');
+
+  historyService.markViewed('memos/a', '2026-02-23');
+  assert.equal(await syncService.sync(), false);
+  assert.equal(capabilityService.canSyncHistory(), false);
+  assert.equal(capabilityService.canUseListFilter(), true);
+});
+
+function createFakeIndexedDB() {
+  const stores = new Map();
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore(name) {
+      stores.set(name, new Map());
+    },
+    transaction(name) {
+      const data = stores.get(name);
+      const tx = {
+        objectStore: () => ({
+          getAll: () => ({ result: [...data.values()].map((row) => JSON.parse(JSON.stringify(row))) }),
+          put: (row) => {
+            data.set(row.key, JSON.parse(JSON.stringify(row)));
+            return {};
+          },
+          delete: (key) => {
+            data.delete(key);
+            return {};
+          }
+        })
+      };
+      setTimeout(() => tx.oncomplete && tx.oncomplete(), 0);
+      return tx;
+    }
+  };
+  return {
+    stores,
+    open() {
+      const request = { result: db };
+      setTimeout(() => {
+        if (request.onupgradeneeded) request.onupgradeneeded();
+        request.onsuccess();
+      }, 0);
+      return request;
+    }
+  };
+}
+
+test('dataStore should migrate localStorage data into IndexedDB and keep reads synchronous', async () => {
+  const hooks = loadHooks();
+  const { dataStore, historyService, poolService, CONFIG } = hooks;
+  const localStorage = hooks.__context.localStorage;
+
+  historyService.markViewed('memos/legacy', '2026-02-20');
+  poolService.save('6months', [createMemo('p1', '2026-01-01T00:00:00Z')]);
+  localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify({ count: 12 }));
+
+  const idb = createFakeIndexedDB();
+  hooks.__context.indexedDB = idb;
+  await dataStore.init();
+
+  assert.equal(dataStore.backend, 'indexedDB');
+  assert.equal(localStorage.getItem(CONFIG.HISTORY_KEY), null);
+  assert.equal(localStorage.getItem(CONFIG.POOL_KEY), null);
+  assert.ok(localStorage.getItem(CONFIG.STORAGE_KEY), 'settings stay in localStorage');
+  assert.ok(idb.stores.get('history').has(CONFIG.HISTORY_KEY));
+
+  assert.ok(historyService.load().items['memos/legacy']);
+  assert.equal(poolService.load('6months').length, 1);
+
+  historyService.markViewed('memos/new', '2026-02-23');
+  assert.ok(historyService.load().items['memos/new']);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.ok(idb.stores.get('history').get(CONFIG.HISTORY_KEY).value.items['memos/new']);
+  assert.equal(localStorage.getItem(CONFIG.HISTORY_KEY), null);
+});
+
+test('dataStore should fall back to localStorage when IndexedDB is unavailable', async () => {
+  const hooks = loadHooks();
+  await hooks.dataStore.init();
+  assert.equal(hooks.dataStore.backend, 'localStorage');
+  hooks.historyService.markViewed('memos/x', '2026-02-23');
+  assert.ok(hooks.__context.localStorage.getItem(hooks.CONFIG.HISTORY_KEY));
+});
+
+test('dataStore should merge a localStorage copy with existing IndexedDB data instead of replacing it', async () => {
+  const hooks = loadHooks();
+  const { dataStore, historyService, poolService, deckService, CONFIG } = hooks;
+  const localStorage = hooks.__context.localStorage;
+  const now = Date.now();
+
+  // A fallback session wrote a short history, a newer pool entry and an older deck to localStorage.
+  localStorage.setItem(CONFIG.HISTORY_KEY, JSON.stringify({
+    items: {
+      'memos/a': { lastShownDay: '2026-02-23', shownCount: 1, updatedAt: now },
+      'memos/new': { lastShownDay: '2026-02-23', shownCount: 1, updatedAt: now }
+    }
+  }));
+  localStorage.setItem(CONFIG.POOL_KEY, JSON.stringify({
+    schemaVersion: CONFIG.DECK_SCHEMA_VERSION,
+    entries: { '6months': { memos: [createMemo('fresh', '2026-02-01T00:00:00Z')], timestamp: now } }
+  }));
+  localStorage.setItem(CONFIG.CACHE_KEY, JSON.stringify({
+    schemaVersion: CONFIG.DECK_SCHEMA_VERSION,
+    decks: { old: { key: 'old', memos: [], timestamp: now - 2000 } },
+    lastKey: 'old'
+  }));
+
+  const idb = createFakeIndexedDB();
+  const seed = (name, key, value) => idb.stores.set(name, new Map([[key, { key, value }]]));
+  seed('history', CONFIG.HISTORY_KEY, {
+    items: {
+      'memos/a': { lastShownDay: '2026-01-10', shownCount: 5, updatedAt: now - 1000 },
+      'memos/b': { lastShownDay: '2026-01-11', shownCount: 3, updatedAt: now - 1000 }
+    }
+  });
+  seed('pools', CONFIG.POOL_KEY, {
+    schemaVersion: CONFIG.DECK_SCHEMA_VERSION,
+    entries: {
+      '6months': { memos: [createMemo('stale', '2026-01-01T00:00:00Z')], timestamp: now - 1000 },
+      '1year': { memos: [createMemo('kept', '2025-06-01T00:00:00Z')], timestamp: now - 1000 }
+    }
+  });
+  seed('decks', CONFIG.CACHE_KEY, {
+    schemaVersion: CONFIG.DECK_SCHEMA_VERSION,
+    decks: { current: { key: 'current', memos: [], timestamp: now - 1000 } },
+    lastKey: 'current'
+  });
+  hooks.__context.indexedDB = idb;
+  await dataStore.init();
+
+  const items = historyService.load().items;
+  assert.deepEqual(Object.keys(items).sort(), ['memos/a', 'memos/b', 'memos/new']);
+  assert.equal(items['memos/a'].lastShownDay, '2026-02-23');
+  assert.equal(items['memos/a'].shownCount, 5);
+  assert.equal(poolService.load('6months')[0].id, 'fresh');
+  assert.equal(poolService.load('1year')[0].id, 'kept');
+  assert.ok(deckService.getDeck('old'));
+  assert.ok(deckService.getDeck('current'));
+  assert.equal(deckService.loadStore().lastKey, 'current');
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.ok(idb.stores.get('history').get(CONFIG.HISTORY_KEY).value.items['memos/b']);
+  assert.equal(localStorage.getItem(CONFIG.HISTORY_KEY), null);
+});
+
+test('getPoolMemos should refresh a stale pool incrementally and fall back to a full fetch', async () => {
+  const hooks = loadHooks();
+  const { controller, poolService, apiService, capabilityService, dataStore, CONFIG } = hooks;
+  const now = hooks.__context.Date.now();
+  const ageEntry = (key, ms) => {
+    const store = dataStore.get(CONFIG.POOL_KEY);
+    store.entries[key].timestamp -= ms;
+    store.entries[key].syncedAt -= ms;
+    dataStore.set(CONFIG.POOL_KEY, store);
+  };
+
+  poolService.save('all', [
+    { ...createMemo('keep', '2026-01-01T00:00:00Z'), id: 'memos/keep' },
+    { ...createMemo('edit', '2026-01-02T00:00:00Z'), id: 'memos/edit' },
+    { ...createMemo('archive', '2026-01-03T00:00:00Z'), id: 'memos/archive' }
+  ], { syncedAt: now - 600000, fullAt: now - 600000 });
+
+  const calls = [];
+  apiService.listMemos = async (filter, pageToken, options) => {
+    calls.push({ filter, state: options.state });
+    if (options.state === 'ARCHIVED') return { memos: [createMemo('archive', '2026-01-03T00:00:00Z')], nextPageToken: '' };
+    return {
+      memos: [
+        { ...createMemo('edit', '2026-01-02T00:00:00Z'), content: 'edited' },
+        createMemo('new', '2026-02-20T00:00:00Z')
+      ],
+      nextPageToken: ''
+    };
+  };
+  apiService.fetchMemos = async () => {
+    throw new Error('full fetch should not run');
+  };
+
+  // Within the TTL the cached pool is used as is.
+  assert.equal((await controller.getPoolMemos('all', 10)).length, 3);
+  assert.equal(calls.length, 0);
+
+  ageEntry('all', CONFIG.POOL_TTL_MS);
+  const pool = await controller.getPoolMemos('all', 10);
+  assert.deepEqual([...pool.map((m) => m.id)], ['memos/new', 'memos/edit', 'memos/keep']);
+  assert.equal(pool.find((m) => m.id === 'memos/edit').content, 'edited');
+  assert.match(calls[0].filter, /^updated_ts >= \d+$/);
+  assert.deepEqual(calls.map((c) => c.state), ['NORMAL', 'ARCHIVED']);
+
+  ageEntry('all', CONFIG.POOL_TTL_MS + 1);
+  apiService.listMemos = async () => {
+    throw new Error('API error: 400 (filter rejected)');
+  };
+  apiService.fetchMemos = async () => ({ memos: [createMemo('fresh', '2026-02-21T00:00:00Z')], nextPageToken: '' });
+  const refetched = await controller.getPoolMemos('all', 10);
+  assert.deepEqual([...refetched.map((m) => m.id)], ['memos/fresh']);
+  assert.equal(capabilityService.canRefreshPoolIncrementally(), false);
+});
+
+test('getPoolMemos should refetch in full once the pool is days old so memos deleted elsewhere drop out', async () => {
+  const hooks = loadHooks();
+  const { controller, poolService, apiService, CONFIG } = hooks;
+  const now = hooks.__context.Date.now();
+  const syncedAt = now - CONFIG.POOL_TTL_MS - 1000;
+  const memos = [
+    { ...createMemo('kept', '2026-01-01T00:00:00Z'), id: 'memos/kept' },
+    { ...createMemo('deleted', '2026-01-02T00:00:00Z'), id: 'memos/deleted' }
+  ];
+
+  // The incremental refresh sees no change for a hard delete.
+  let fullFetches = 0;
+  apiService.listMemos = async () => ({ memos: [], nextPageToken: '' });
+  apiService.fetchMemos = async () => {
+    fullFetches += 1;
+    return { memos: [createMemo('kept', '2026-01-01T00:00:00Z')], nextPageToken: '' };
+  };
+
+  // A pool fully fetched hours ago is only refreshed incrementally.
+  poolService.save('6months', memos, { syncedAt, fullAt: now - 2 * CONFIG.POOL_TTL_MS });
+  assert.equal((await controller.getPoolMemos('6months', 10)).length, 2);
+  assert.equal(fullFetches, 0);
+
+  const fullAt = now - CONFIG.POOL_MAX_AGE_MS - 1000;
+  poolService.save('6months', memos, { syncedAt, fullAt });
+  const pool = await controller.getPoolMemos('6months', 10);
+  assert.equal(fullFetches, 1);
+  assert.deepEqual([...pool.map((m) => m.id)], ['memos/kept']);
+  assert.ok(poolService.loadEntry('6months').fullAt > fullAt);
+});
+
+test('prefetch should cache today\'s deck once and skip when it is still valid', async () => {
+  const hooks = loadHooks();
+  const { controller, apiService, authService, deckService, settingsService, batchService, utils } = hooks;
+
+  let fetches = 0;
+  authService.isAuthenticated = async () => true;
+  apiService.fetchMemos = async () => {
+    fetches += 1;
+    return {
+      memos: [
+        createMemo('a', '2026-01-01T00:00:00Z'),
+        createMemo('b', '2026-01-15T00:00:00Z'),
+        createMemo('c', '2026-02-01T00:00:00Z')
+      ],
+      nextPageToken: ''
+    };
+  };
+
+  assert.equal(await controller.prefetch(), true);
+  const key = controller.getDeckKey(settingsService.load(), utils.getDailySeed(), batchService.load());
+  const deck = deckService.getDeck(key);
+  assert.ok(deckService.isValid(deck, key));
+  assert.equal(deck.memos.length, 3);
+  assert.equal(controller.prefetchPromise, null);
+
+  assert.equal(await controller.prefetch(), false);
+  assert.equal(fetches, 1);
+
+  const signedOut = loadHooks();
+  signedOut.authService.isAuthenticated = async () => false;
+  signedOut.apiService.fetchMemos = async () => {
+    throw new Error('signed-out prefetch should not fetch');
+  };
+  assert.equal(await signedOut.controller.prefetch(), false);
+});
+
+test('getPoolMemos should sample older years by time slices and skip empty stretches', async () => {
+  const hooks = loadHooks();
+  const { controller, apiService } = hooks;
+  const history = [
+    createMemo('recent', '2026-02-20T00:00:00Z'),
+    createMemo('older-2025', '2025-06-01T00:00:00Z'),
+    createMemo('older-2024', '2024-03-01T00:00:00Z'),
+    createMemo('ancient', '2018-05-01T00:00:00Z')
+  ];
+  const parseRange = (filter) => {
+    const [, startTs, endTs] = filter.match(/created_ts >= (\d+) && created_ts < (\d+)/);
+    return [Number(startTs) * 1000, Number(endTs) * 1000];
+  };
+
+  apiService.fetchMemos = async () => ({ memos: [history[0]], nextPageToken: 'next' });
+  const calls = [];
+  apiService.listMemos = async (filter, pageToken, options) => {
+    calls.push(options.pageSize);
+    const [startMs, endMs] = parseRange(filter);
+    const matches = history.filter((memo) => {
+      const createMs = Date.parse(memo.createTime);
+      return createMs >= startMs && createMs < endMs;
+    });
+    return { memos: matches.slice(0, options.pageSize), nextPageToken: '' };
+  };
+
+  const pool = await controller.getPoolMemos('all', 10);
+  assert.deepEqual([...pool.map((m) => m.id)].sort(), ['memos/ancient', 'memos/older-2024', 'memos/older-2025', 'memos/recent']);
+  assert.ok(calls.includes(1), 'empty slices should probe for the next older memo');
+  assert.ok(calls.length < 12, 'the 2018-2024 gap should be skipped, not walked year by year');
+});
+
+test('getPoolMemos should share one time budget between paging and time-sliced sampling', async () => {
+  const hooks = loadHooks();
+  const { controller, apiService, CONFIG } = hooks;
+  let now = hooks.__context.Date.now();
+  const startedAt = now;
+  hooks.__context.Date.now = () => now;
+  hooks.__context.window.Date = hooks.__context.Date;
+
+  apiService.fetchMemos = async () => {
+    now += CONFIG.POOL_FETCH_TIME_BUDGET_MS - 1000;
+    return { memos: [createMemo('recent', '2026-02-20T00:00:00Z')], nextPageToken: 'next' };
+  };
+  const starts = [];
+  apiService.listMemos = async (filter) => {
+    starts.push(now - startedAt);
+    now += 500;
+    const [, endTs] = filter.match(/created_ts < (\d+)/);
+    return { memos: [createMemo(`s${starts.length}`, new Date(Number(endTs) * 1000 - 86400000).toISOString())], nextPageToken: '' };
+  };
+
+  await controller.getPoolMemos('all', 1);
+  assert.equal(starts.length, 2);
+  assert.ok(starts.every((ms) => ms < CONFIG.POOL_FETCH_TIME_BUDGET_MS));
+});
+
+test('getPoolMemos should sample a busy year at a random point, not only its newest memos', async () => {
+  const hooks = loadHooks();
+  const { controller, apiService, CONFIG } = hooks;
+  CONFIG.POOL_STRATUM_PAGE_SIZE = 5;
+  const weekMs = 7 * 24 * 60 * 60 * 1000;
+  const history = [createMemo('recent', '2026-02-20T00:00:00Z')];
+  for (let i = 0; i < 48; i++) {
+    history.push(createMemo(`w${i}`, new Date(Date.parse('2025-12-20T00:00:00Z') - i * weekMs).toISOString()));
+  }
+
+  apiService.fetchMemos = async () => ({ memos: [history[0]], nextPageToken: 'next' });
+  const ranges = [];
+  apiService.listMemos = async (filter, pageToken, options) => {
+    const [, startTs, endTs] = filter.match(/created_ts >= (\d+) && created_ts < (\d+)/);
+    ranges.push([Number(startTs) * 1000, Number(endTs) * 1000]);
+    const matches = history.filter((memo) => {
+      const createMs = Date.parse(memo.createTime);
+      return createMs >= Number(startTs) * 1000 && createMs < Number(endTs) * 1000;
+    });
+    return { memos: matches.slice(0, options.pageSize), nextPageToken: '' };
+  };
+
+  const pool = await controller.getPoolMemos('all', 1);
+  const newestOfYear = history.slice(1, 6).map((m) => `memos/${m.id}`);
+  const firstSlice = ranges[0];
+  const sampled = pool.filter((m) => {
+    const createMs = Date.parse(m.createTime);
+    return createMs >= firstSlice[0] && !newestOfYear.includes(m.id);
+  });
+  assert.equal(sampled.length, 5, 'the full slice gets a second page from inside the year');
+  assert.ok(ranges[1][1] < Date.parse(history[5].createTime), 'the second page ends before the memos already seen');
+  assert.equal(ranges[1][0], firstSlice[0]);
+});
+
+test('favourites should claim deck slots on their cadence and be fetched when missing from the pool', async () => {
+  const fixedNow = Date.parse('2026-02-23T00:00:00Z');
+  const hooks = loadHooks(fixedNow);
+  const { controller, favoriteService, historyService, apiService, backupService, utils } = hooks;
+  const dayMs = 24 * 60 * 60 * 1000;
+  const pool = [];
+  for (let i = 0; i < 12; i++) {
+    pool.push(utils.normalizeMemo(createMemo(`m${i}`, new Date(fixedNow - (i * 20 + 1) * dayMs).toISOString())));
+  }
+  const settings = { timeRange: 'all', count: 8, includeTags: [], excludeTags: [], favoriteCadence: 'deck' };
+
+  favoriteService.toggle('memos/m3');
+  favoriteService.toggle('memos/m7');
+  historyService.markViewed('memos/m3', '2026-02-22');
+  const deck = controller.buildDeckFromPool(pool, settings, '2026-02-23', 0);
+  assert.equal(deck.length, 8);
+  assert.ok(deck.some((m) => m.id === 'memos/m7'), 'least recently shown favourite gets the slot');
+
+  historyService.markViewed('memos/m7', '2026-02-21');
+  const weekly = controller.pickFavorites(pool, { ...settings, favoriteCadence: '7' }, historyService.load(), '2026-02-23', 'seed');
+  assert.deepEqual([...weekly], []);
+  const daily = controller.pickFavorites(pool, { ...settings, favoriteCadence: '3' }, historyService.load(), '2026-02-26', 'seed');
+  assert.deepEqual([...daily.map((m) => m.id)].sort(), ['memos/m3', 'memos/m7']);
+
+  favoriteService.toggle('memos/ancient');
+  favoriteService.toggle('memos/gone');
+  apiService.getMemo = async (name) => {
+    if (name === 'memos/gone') throw new Error('API error: 404');
+    return createMemo('ancient', '2015-01-01T00:00:00Z');
+  };
+  const withFavorites = await controller.addMissingFavorites(pool);
+  assert.ok(withFavorites.some((m) => m.id === 'memos/ancient'));
+  assert.equal(favoriteService.isFavorite('memos/gone'), false);
+
+  const bundle = backupService.build();
+  assert.deepEqual(Object.keys(bundle.data.default.favorites.items).sort(), ['memos/ancient', 'memos/m3', 'memos/m7']);
+  assert.equal(backupService.validate(bundle), '');
+});
+
+test('missing favourites should be fetched once per pool and again after a full refetch', async () => {
+  const hooks = loadHooks();
+  const { controller, favoriteService, poolService, apiService } = hooks;
+  const now = hooks.__context.Date.now();
+  const pool = [{ ...createMemo('m1', '2026-01-01T00:00:00Z'), id: 'memos/m1' }];
+  poolService.save('6months', pool, { syncedAt: now, fullAt: now });
+  favoriteService.toggle('memos/ancient');
+  favoriteService.toggle('memos/archived');
+
+  const fetched = [];
+  apiService.getMemo = async (name) => {
+    fetched.push(name);
+    if (name === 'memos/archived') return { ...createMemo('archived', '2014-01-01T00:00:00Z'), state: 'ARCHIVED' };
+    return createMemo('ancient', '2015-01-01T00:00:00Z');
+  };
+  const first = await controller.addMissingFavorites(pool, '6months');
+  const second = await controller.addMissingFavorites(pool, '6months');
+  assert.deepEqual([...first.map((m) => m.id)], ['memos/m1', 'memos/ancient']);
+  assert.deepEqual([...second.map((m) => m.id)], ['memos/m1', 'memos/ancient']);
+  assert.deepEqual(fetched.sort(), ['memos/ancient', 'memos/archived']);
+
+  poolService.save('6months', pool);
+  await controller.addMissingFavorites(pool, '6months');
+  assert.equal(fetched.length, 2, 'local pool edits keep the fetched favourites');
+
+  poolService.save('6months', pool, { syncedAt: now + 1000, fullAt: now + 1000 });
+  await controller.addMissingFavorites(pool, '6months');
+  assert.equal(fetched.length, 4);
+});
+
+test('snoozed and excluded memos should stay out of decks until restored', () => {
+  const fixedNow = Date.parse('2026-02-23T00:00:00Z');
+  const hooks = loadHooks(fixedNow);
+  const { controller, historyService, backupService, utils } = hooks;
+  const dayMs = 24 * 60 * 60 * 1000;
+  const pool = [];
+  for (let i = 0; i < 6; i++) {
+    const memo = utils.normalizeMemo(createMemo(`m${i}`, new Date(fixedNow - (i * 60 + 1) * dayMs).toISOString()));
+    pool.push({ ...memo, tags: ['shared'] });
+  }
+  const settings = { timeRange: 'all', count: 8, includeTags: [], excludeTags: [] };
+
+  historyService.snooze('memos/m1', '2026-03-02');
+  historyService.exclude('memos/m2');
+  const ids = (deck) => [...deck.map((m) => m.id)].sort();
+  assert.deepEqual(ids(controller.buildDeckFromPool(pool, settings, '2026-02-23', 0)), ['memos/m0', 'memos/m3', 'memos/m4', 'memos/m5']);
+  const spark = controller.findSparkPair(pool, { items: {} }, '2026-02-23', 'seed');
+  assert.ok(spark);
+  assert.equal(controller.findSparkPair(pool, historyService.load(), '2026-02-23', 'seed').some((m) => m.id === 'memos/m2'), false);
+
+  assert.ok(ids(controller.buildDeckFromPool(pool, settings, '2026-03-02', 0)).includes('memos/m1'), 'snooze ends on its day');
+  const hidden = historyService.listHidden(historyService.load(), '2026-02-23');
+  assert.deepEqual([...hidden.map((h) => h.memoId)], ['memos/m2', 'memos/m1']);
+  assert.equal(backupService.validate(backupService.build()), '');
+
+  historyService.restore('memos/m2');
+  historyService.restore('memos/m1');
+  assert.equal(controller.buildDeckFromPool(pool, settings, '2026-02-23', 0).length, 6);
+  assert.equal(historyService.listHidden(historyService.load(), '2026-02-23').length, 0);
+});
+
+test('spark pairs should match untagged memos by content similarity, including Chinese text', () => {
+  const hooks = loadHooks();
+  const { controller, similarityService, utils } = hooks;
+
+  assert.deepEqual([...similarityService.tokenize('读书笔记 about Habits #tag https://x.y')], ['读书', '书笔', '笔记', 'habits']);
+
+  const memo = (id, createTime, content) => ({ ...utils.normalizeMemo(createMemo(id, createTime)), content, tags: [] });
+  const pool = [
+    memo('old-zh', '2021-03-01T00:00:00Z', '坚持写晨间日记，记录睡眠和运动习惯'),
+    memo('new-zh', '2026-01-10T00:00:00Z', '重新开始晨间日记，这次也记录睡眠质量'),
+    memo('old-en', '2022-05-01T00:00:00Z', 'Grocery list: apples, bread, coffee beans'),
+    memo('mid', '2024-07-01T00:00:00Z', 'Meeting notes about the quarterly roadmap'),
+    memo('new-en', '2026-02-01T00:00:00Z', 'Podcast idea: interview a local baker'),
+    memo('near-zh', '2026-01-20T00:00:00Z', '晨间日记第二天，睡眠不错')
+  ];
+
+  const pairs = similarityService.findSimilarPairs(pool);
+  assert.ok(pairs.length > 0);
+  assert.ok(pairs.every((pair) => Math.abs(Date.parse(pair.a.createTime) - Date.parse(pair.b.createTime)) >= 90 * 24 * 60 * 60 * 1000));
+
+  const spark = controller.findSparkPair(pool, { items: {} }, '2026-02-23', 'seed');
+  assert.ok(spark);
+  assert.equal(spark[0].spark.reason, 'similar');
+  assert.ok(new Date(spark[0].createTime) < new Date(spark[1].createTime));
+  assert.ok(['memos/old-zh', 'memos/new-zh', 'memos/near-zh'].includes(spark[0].id));
+  assert.ok(spark[0].spark.terms.some((term) => ['晨间', '日记', '睡眠'].includes(term)));
+});
+
+test('spark pairs should sit on adjacent cards that point at each other, with a linking memo draft', () => {
+  const fixedNow = Date.parse('2026-02-23T00:00:00Z');
+  const hooks = loadHooks(fixedNow);
+  const { controller, utils } = hooks;
+  const dayMs = 24 * 60 * 60 * 1000;
+  const pool = [];
+  for (let i = 0; i < 12; i++) {
+    const memo = utils.normalizeMemo(createMemo(`m${i}`, new Date(fixedNow - (i * 120 + 1) * dayMs).toISOString()));
+    pool.push({ ...memo, content: `note ${i}`, tags: i === 0 || i === 11 ? ['garden'] : [] });
+  }
+  pool[0].uid = 'newuid';
+  const settings = { timeRange: 'all', count: 8, includeTags: [], excludeTags: [] };
+
+  const deck = controller.buildDeckFromPool(pool, settings, '2026-02-23', 0);
+  assert.equal(deck.length, 8);
+  assert.equal(new Set(deck.map((m) => m.id)).size, 8);
+  const first = deck.findIndex((m) => m.spark);
+  assert.ok(first >= 0);
+  const [older, newer] = [deck[first], deck[first + 1]];
+  assert.equal(older.spark.partnerId, newer.id);
+  assert.equal(newer.spark.partnerId, older.id);
+  assert.deepEqual([older.id, newer.id], ['memos/m11', 'memos/m0']);
+
+  const content = controller.buildSparkLinkContent(newer, older);
+  const lines = content.split('\n');
+  assert.ok(lines[0].includes('#garden'));
+  assert.ok(lines[2].includes('(/memos/m11)') && lines[2].endsWith('note 11'));
+  assert.ok(lines[3].includes('(/m/newuid)') && lines[3].endsWith('note 0'));
+});
+
+test('spark pairs should keep both halves when favourites take most of the deck', () => {
+  const fixedNow = Date.parse('2026-02-23T00:00:00Z');
+  const hooks = loadHooks(fixedNow);
+  const { controller, favoriteService, utils } = hooks;
+  const dayMs = 24 * 60 * 60 * 1000;
+  const pool = [];
+  for (let i = 0; i < 12; i++) {
+    pool.push(utils.normalizeMemo(createMemo(`m${i}`, new Date(fixedNow - (i * 120 + 1) * dayMs).toISOString())));
+  }
+  favoriteService.toggle('memos/m1');
+  favoriteService.toggle('memos/m2');
+  controller.findSparkPair = (rest) => {
+    const [older, newer] = [rest[rest.length - 1], rest[0]];
+    return [
+      { ...older, spark: { partnerId: newer.id } },
+      { ...newer, spark: { partnerId: older.id } }
+    ];
+  };
+  const settings = { timeRange: 'all', count: 4, favoriteCadence: '7', includeTags: [], excludeTags: [] };
+
+  const deck = controller.buildDeckFromPool(pool, settings, '2026-02-23', 0);
+  assert.equal(deck.length, 4);
+  const ids = deck.map((m) => m.id);
+  assert.ok(ids.includes('memos/m1') && ids.includes('memos/m2'));
+  const sparks = deck.filter((m) => m.spark);
+  assert.equal(sparks.length, 2);
+  sparks.forEach((m) => assert.ok(ids.includes(m.spark.partnerId)));
+
+  const single = controller.buildDeckFromPool(pool, { ...settings, count: 2 }, '2026-02-23', 0);
+  assert.equal(single.filter((m) => m.spark).length, 0, 'no room left for a pair');
+});
+
+test('reflections should quote the source memo and link it through the relations API when available', async () => {
+  const hooks = loadHooks();
+  const { apiService, capabilityService, controller, utils } = hooks;
+
+  const source = { ...utils.normalizeMemo({ name: 'memos/7', uid: 'abc', createTime: '2024-05-01T00:00:00Z', content: 'Walk after lunch #health' }) };
+  const draft = controller.buildReflectionDraft(source);
+  assert.ok(draft.startsWith('> Walk after lunch\n>\n> — ['));
+  assert.ok(draft.includes('](/m/abc)'));
+  assert.ok(draft.endsWith('\n\n'));
+  assert.equal(controller.addReflectTag('Still true.\n'), 'Still true.\n\n#review');
+  assert.equal(controller.addReflectTag('Still true. #review'), 'Still true. #review');
+
+  const bodies = [];
+  utils.fetchWithTimeout = async (url, options) => {
+    bodies.push({ url, body: JSON.parse(options.body) });
+    return bodies.length === 1 ? createResponse(400, null, 'bad relation') : createResponse(200, {});
+  };
+  assert.equal(await apiService.setMemoRelations('memos/8', ['memos/7']), true);
+  assert.equal(bodies[0].url, '/api/v1/memos/8/relations');
+  assert.deepEqual(bodies[0].body.relations[0].relatedMemo, { name: 'memos/7' });
+  assert.equal(bodies[1].body.relations[0].relatedMemo, 'memos/7');
+  assert.deepEqual([...capabilityService.getRelationStyles()], ['name', 'object']);
+
+  utils.fetchWithTimeout = async () => createResponse(404, null, 'not found');
+  capabilityService.remember({ relationStyle: '' });
+  assert.equal(await apiService.setMemoRelations('memos/8', ['memos/7']), false);
+  assert.equal(capabilityService.canSetMemoRelations(), false);
+  utils.fetchWithTimeout = async () => {
+    throw new Error('unsupported relations should not be retried');
+  };
+  assert.equal(await apiService.setMemoRelations('memos/8', ['memos/7']), false);
+});
+
+test('normalized memos should keep relations and linked memos should open as a temporary card', async () => {
+  const hooks = loadHooks();
+  const { apiService, controller, ui, utils } = hooks;
+  ui.renderDeck = () => {};
+
+  const memo = utils.normalizeMemo({
+    name: 'memos/1',
+    content: 'hub',
+    relations: [
+      { memo: { name: 'memos/1' }, relatedMemo: { name: 'memos/2', snippet: 'target' }, type: 'REFERENCE' },
+      { memo: 'memos/3', relatedMemo: 'memos/1', type: 'REFERENCE' },
+      { memoId: 4, relatedMemoId: 1, type: 'COMMENT' },
+      { memo: {}, relatedMemo: { name: 'memos/1' } }
+    ]
+  });
+  assert.equal(memo.relations.length, 3);
+  assert.deepEqual(JSON.parse(JSON.stringify(memo.relations[2])), { type: 'COMMENT', memo: { name: 'memos/4', snippet: '' }, relatedMemo: { name: 'memos/1', snippet: '' } });
+  const links = utils.getMemoLinks(memo);
+  assert.deepEqual([...links.linked.map((r) => r.name)], ['memos/2']);
+  assert.deepEqual([...links.referencedBy.map((r) => r.name)], ['memos/3']);
+  assert.deepEqual([...utils.normalizeMemo({ name: 'memos/9' }).relations], []);
+
+  const other = utils.normalizeMemo({ name: 'memos/5', content: 'other' });
+  controller.deckMemos = [memo, other];
+  controller.deckIndex = 1;
+  const fetched = [];
+  apiService.getMemo = async (name) => {
+    fetched.push(name);
+    return { name, content: 'fetched' };
+  };
+
+  await controller.openLinkedMemo('memos/2');
+  assert.deepEqual(fetched, ['memos/2']);
+  assert.equal(controller.deckMemos.length, 1);
+  assert.equal(controller.deckMemos[0].content, 'fetched');
+  await controller.openLinkedMemo('memos/1');
+  assert.equal(fetched.length, 1, 'memos already in the deck are not fetched');
+  assert.equal(controller.deckMemos[0].id, 'memos/1');
+
+  controller.closePeek();
+  assert.equal(controller.deckBeforePeek, null);
+  assert.deepEqual([...controller.deckMemos.map((m) => m.id)], ['memos/1', 'memos/5']);
+  assert.equal(controller.deckIndex, 1);
+});
+
+test('comments should load once per memo, post with the memo visibility and stop when the endpoint is missing', async () => {
+  const hooks = loadHooks();
+  const { apiService, capabilityService, controller, ui, utils } = hooks;
+  const rendered = [];
+  ui.renderComments = (name, state) => rendered.push({ name, state });
+  ui.setCommentSending = () => {};
+
+  const memo = utils.normalizeMemo({
+    name: 'memos/1',
+    visibility: 'PROTECTED',
+    relations: [{ memo: { name: 'memos/9' }, relatedMemo: { name: 'memos/1' }, type: 'COMMENT' }]
+  });
+  assert.deepEqual([...utils.getMemoLinks(memo).comments.map((r) => r.name)], ['memos/9']);
+  controller.deckMemos = [memo];
+
+  const requests = [];
+  utils.fetchWithTimeout = async (url, options) => {
+    requests.push({ url, method: options.method, body: options.body ? JSON.parse(options.body) : null });
+    if (options.method === 'POST') return createResponse(200, { name: 'memos/11', content: options.body && JSON.parse(options.body).content, createTime: '2026-02-23T00:00:00Z' });
+    return createResponse(200, { memos: [
+      { name: 'memos/10', content: 'second', createTime: '2026-02-02T00:00:00Z' },
+      { name: 'memos/9', content: 'first', createTime: '2026-02-01T00:00:00Z' }
+    ] });
+  };
+
+  await controller.loadComments('memos/1');
+  await controller.loadComments('memos/1');
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, '/api/v1/memos/1/comments');
+  assert.deepEqual([...rendered.at(-1).state.items.map((c) => c.content)], ['first', 'second']);
+
+  await controller.postComment('memos/1', '  agreed  ');
+  assert.deepEqual(requests[1].body, { content: 'agreed', visibility: 'PROTECTED' });
+  assert.deepEqual([...controller.commentsCache.get('memos/1').map((c) => c.id)], ['memos/9', 'memos/10', 'memos/11']);
+
+  utils.fetchWithTimeout = async () => createResponse(404, null, 'not found');
+  await controller.loadComments('memos/2');
+  assert.equal(rendered.at(-1).state.unsupported, true);
+  assert.equal(capabilityService.canUseMemoComments(), false);
+  assert.equal(await apiService.listMemoComments('memos/3'), null);
+});
+
+test('visibility and pinned state should be kept, filterable and changeable through an update mask PATCH', async () => {
+  const hooks = loadHooks();
+  const { controller, settingsService, poolService, dataStore, CONFIG, ui, utils } = hooks;
+  ui.renderDeck = () => {};
+
+  const memo = (id, visibility, pinned = false) => utils.normalizeMemo({ ...createMemo(id, '2025-01-01T00:00:00Z'), visibility, pinned });
+  const pool = [memo('a', 'PRIVATE', true), memo('b', 'PUBLIC'), memo('c', 'PROTECTED'), memo('d', 'PRIVATE')];
+  assert.equal(pool[0].pinned, true);
+  assert.equal(pool[1].pinned, false);
+  assert.equal(pool[1].visibility, 'PUBLIC');
+
+  const settings = { ...settingsService.getDefaults(), visibilityFilter: 'PRIVATE' };
+  assert.deepEqual([...controller.filterEligible(pool, settings).map((m) => m.id)], ['memos/a', 'memos/d']);
+  assert.equal(settingsService.getDeckVariant(settings), 'vis:PRIVATE');
+  assert.equal(settingsService.getDeckVariant(settingsService.getDefaults()), '');
+  assert.equal(controller.filterEligible(pool, settingsService.getDefaults()).length, 4);
+
+  const urls = [];
+  utils.fetchWithTimeout = async (url, options) => {
+    urls.push({ url, body: JSON.parse(options.body) });
+    return urls.length === 1 ? createResponse(400, null, 'bad mask') : createResponse(200, { ...createMemo('b', '2025-01-01T00:00:00Z'), visibility: 'PRIVATE' });
+  };
+  controller.deckMemos = [pool[1]];
+  controller.deckIndex = 0;
+  await controller.setVisibilityCurrent('PRIVATE');
+  assert.equal(urls[0].url, '/api/v1/memos/b?updateMask.paths=visibility');
+  assert.equal(urls[1].url, '/api/v1/memos/b?update_mask.paths=visibility');
+  assert.deepEqual(urls[1].body, { name: 'memos/b', visibility: 'PRIVATE' });
+  assert.equal(controller.deckMemos[0].visibility, 'PRIVATE');
+
+  poolService.save('all', pool);
+  assert.equal(poolService.loadEntry('all').memos.length, 4);
+  dataStore.set(CONFIG.POOL_KEY, { ...dataStore.get(CONFIG.POOL_KEY), schemaVersion: CONFIG.DECK_SCHEMA_VERSION - 1 });
+  assert.equal(poolService.loadEntry('all'), null, 'pools cached by an older schema are refetched');
+});
+
+test('archiving should patch the memo state, drop it from deck and pool, and undo should put it back', async () => {
+  const hooks = loadHooks();
+  const { controller, poolService, settingsService, ui, utils } = hooks;
+  ui.renderDeck = () => {};
+  let toast = null;
+  ui.showToast = (message, actionLabel, onAction) => {
+    toast = { message, actionLabel, onAction };
+  };
+
+  const memos = ['a', 'b', 'c'].map((id) => utils.normalizeMemo(createMemo(id, '2025-01-01T00:00:00Z')));
+  const poolKey = controller.getPoolCacheKey(settingsService.load(), utils.getDailySeed());
+  poolService.save(poolKey, memos);
+  controller.deckMemos = [...memos];
+  controller.deckIndex = 1;
+
+  const requests = [];
+  utils.fetchWithTimeout = async (url, options) => {
+    const body = JSON.parse(options.body);
+    requests.push({ url, body });
+    return createResponse(200, { ...createMemo('b', '2025-01-01T00:00:00Z'), state: body.state });
+  };
+
+  await controller.archiveCurrent();
+  assert.equal(requests[0].url, '/api/v1/memos/b?updateMask.paths=state');
+  assert.deepEqual(requests[0].body, { name: 'memos/b', state: 'ARCHIVED' });
+  assert.deepEqual([...controller.deckMemos.map((m) => m.id)], ['memos/a', 'memos/c']);
+  assert.deepEqual([...poolService.loadEntry(poolKey).memos.map((m) => m.id)], ['memos/a', 'memos/c']);
+  assert.ok(toast && toast.onAction);
+
+  toast.onAction();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.deepEqual(requests[1].body, { name: 'memos/b', state: 'NORMAL' });
+  assert.deepEqual([...controller.deckMemos.map((m) => m.id)], ['memos/a', 'memos/b', 'memos/c']);
+  assert.equal(controller.deckIndex, 1);
+  assert.equal(poolService.loadEntry(poolKey).memos.length, 3);
+});
+
+test('undo should restore into the deck, pool and profile the memo was taken from', async () => {
+  const hooks = loadHooks();
+  const { controller, deckService, poolService, profileService, settingsService, ui, utils, CONFIG } = hooks;
+  ui.renderDeck = () => {};
+  let toast = null;
+  ui.showToast = (message, actionLabel, onAction) => {
+    toast = { onAction };
+  };
+  utils.fetchWithTimeout = async (url, options) => createResponse(200, { ...createMemo('b', '2025-01-01T00:00:00Z'), state: JSON.parse(options.body).state });
+
+  const memos = ['a', 'b', 'c'].map((id) => utils.normalizeMemo(createMemo(id, '2025-01-01T00:00:00Z')));
+  const poolKey = controller.getPoolCacheKey(settingsService.load(), utils.getDailySeed());
+  poolService.save(poolKey, memos);
+  deckService.saveDeck({ key: 'deck-1', memos: [...memos], timestamp: 1 });
+  controller.currentDeckKey = 'deck-1';
+  controller.deckMemos = [...memos];
+  controller.deckIndex = 1;
+  await controller.archiveCurrent();
+
+  // The user searches and switches to another profile with a deck under the same key before undoing.
+  const results = [utils.normalizeMemo(createMemo('hit', '2025-02-01T00:00:00Z'))];
+  controller.searchQuery = 'hit';
+  controller.deckMemos = [...results];
+  controller.deckIndex = 0;
+  const otherId = profileService.create('Other');
+  deckService.saveDeck({ key: 'deck-1', memos: [], timestamp: 1 });
+  settingsService.save({ ...settingsService.load(), timeRange: '1month' });
+
+  toast.onAction();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.deepEqual([...controller.deckMemos.map((m) => m.id)], ['hit'].map((id) => `memos/${id}`));
+  assert.equal(deckService.getDeck('deck-1').memos.length, 0, 'the other profile keeps its deck');
+  assert.deepEqual([...deckService.getDeck('deck-1', CONFIG.DEFAULT_PROFILE_ID).memos.map((m) => m.id)], ['memos/a', 'memos/b', 'memos/c']);
+  assert.equal(poolService.loadEntry(poolKey).memos.length, 3);
+  assert.equal(profileService.getActiveId(), otherId);
+});
+
+test('deleting should remove the card at once and only send DELETE after the undo window', async () => {
+  const hooks = loadHooks();
+  const { CONFIG, controller, favoriteService, poolService, settingsService, ui, utils } = hooks;
+  hooks.__context.document.querySelector = () => null;
+  hooks.__context.window.matchMedia = () => ({ matches: true });
+  CONFIG.UNDO_TOAST_MS = 20;
+  ui.renderDeck = () => {};
+  let toast = null;
+  ui.showToast = (message, actionLabel, onAction) => {
+    toast = { message, onAction };
+  };
+
+  const memos = ['a', 'b', 'c'].map((id) => utils.normalizeMemo(createMemo(id, '2025-01-01T00:00:00Z')));
+  const poolKey = controller.getPoolCacheKey(settingsService.load(), utils.getDailySeed());
+  poolService.save(poolKey, memos);
+  controller.deckMemos = [...memos];
+  controller.deckIndex = 1;
+  favoriteService.toggle('memos/b');
+
+  const deleted = [];
+  utils.fetchWithTimeout = async (url, options) => {
+    deleted.push({ url, method: options.method });
+    return createResponse(200, {});
+  };
+
+  await controller.deleteCurrent();
+  assert.deepEqual([...controller.deckMemos.map((m) => m.id)], ['memos/a', 'memos/c']);
+  assert.equal(poolService.loadEntry(poolKey).memos.length, 2);
+  assert.equal(deleted.length, 0, 'nothing is sent during the undo window');
+
+  toast.onAction();
+  assert.deepEqual([...controller.deckMemos.map((m) => m.id)], ['memos/a', 'memos/b', 'memos/c']);
+  assert.equal(poolService.loadEntry(poolKey).memos.length, 3);
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  assert.equal(deleted.length, 0, 'undone deletes are never sent');
+
+  controller.deckIndex = 1;
+  await controller.deleteCurrent();
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  assert.deepEqual(deleted, [{ url: '/api/v1/memos/b', method: 'DELETE' }]);
+  assert.equal(favoriteService.isFavorite('memos/b'), false);
+  toast.onAction();
+  assert.equal(controller.deckMemos.length, 2, 'undo after the window has no effect');
+
+  utils.fetchWithTimeout = async () => createResponse(500, null, 'boom');
+  controller.deckIndex = 0;
+  await controller.deleteCurrent();
+  await controller.commitPendingDelete();
+  assert.deepEqual([...controller.deckMemos.map((m) => m.id)], ['memos/a', 'memos/c'], 'a failed delete puts the card back');
+});
+
+test('a second delete during the fade-out should be ignored and keep the undo window intact', async () => {
+  const hooks = loadHooks();
+  const { CONFIG, controller, ui, utils } = hooks;
+  hooks.__context.document.querySelector = () => null;
+  hooks.__context.window.matchMedia = () => ({ matches: true });
+  const deleteButton = { disabled: false };
+  hooks.__context.document.getElementById = (id) => (id === ui.deleteId ? deleteButton : null);
+  CONFIG.UNDO_TOAST_MS = 30;
+  ui.renderDeck = () => {};
+  ui.showToast = () => {};
+
+  controller.deckMemos = ['a', 'b', 'c'].map((id) => utils.normalizeMemo(createMemo(id, '2025-01-01T00:00:00Z')));
+  controller.deckIndex = 0;
+  const deleted = [];
+  utils.fetchWithTimeout = async (url) => {
+    deleted.push(url);
+    return createResponse(200, {});
+  };
+
+  const first = controller.deleteCurrent();
+  assert.equal(deleteButton.disabled, true);
+  await controller.deleteCurrent();
+  await first;
+  assert.deepEqual([...controller.deckMemos.map((m) => m.id)], ['memos/b', 'memos/c']);
+
+  await new Promise((resolve) => setTimeout(resolve, 15));
+  await controller.deleteCurrent();
+  assert.deepEqual(deleted, ['/api/v1/memos/a']);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepEqual(deleted, ['/api/v1/memos/a'], 'the second delete keeps its own undo window');
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.deepEqual(deleted, ['/api/v1/memos/a', '/api/v1/memos/b']);
+});